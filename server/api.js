@@ -1,7 +1,20 @@
 const express = require('express');
 const cors = require('cors');
-const { getDb } = require('./db');
-const { getCollectionName } = require('./models');
+const { getDb, isAvailable: isDbAvailable } = require('./db');
+const { getCollectionName, newDeviceDoc, setDeviceApproval } = require('./models');
+const commands = require('./commands');
+const connections = require('./connections');
+const { getDtcEvents } = require('./dtc-events');
+const incidents = require('./incidents');
+const spool = require('./spool');
+const whitelist = require('./whitelist');
+const pendingDevices = require('./pending-devices');
+const sessions = require('./sessions');
+const limits = require('./limits');
+const { getDeviceEvents } = require('./device-events');
+const reprocess = require('./reprocess');
+const { listTrips, dailyTripStats } = require('./trips');
+const log = require('./logger');
 
 const app = express();
 const API_PORT = process.env.API_PORT || 3000;
@@ -19,6 +32,15 @@ const apiKeyAuth = (req, res, next) => {
     next();
 };
 
+/**
+ * Query / body time parameter as Date (records store BSON Dates), null if missing or invalid
+ */
+function parseTime(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
 // Health check (no auth required)
 app.get('/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -27,6 +49,59 @@ app.get('/health', (req, res) => {
 // Apply API key auth to all routes below
 app.use(apiKeyAuth);
 
+// Server status: database reachability, disk spool depth, whitelist cache, connection limits
+app.get('/status', (req, res) => {
+    try {
+        const database = isDbAvailable();
+        res.json({
+            mode: database ? 'normal' : 'degraded',
+            database: { connected: database },
+            spool: spool.status(),
+            whitelistCache: whitelist.status(),
+            connections: connections.list().length,
+            limits: limits.status(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ CONNECTIONS ============
+
+// Live TCP sockets with session counters (bytes, frames, records, decode errors)
+app.get('/connections', (req, res) => {
+    try {
+        const live = sessions.listLive();
+        res.json({ count: live.length, connections: live });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Force disconnect of a device (it reconnects on its own)
+app.delete('/connections/:imei', (req, res) => {
+    try {
+        const conn = connections.get(req.params.imei);
+        if (!conn) {
+            return res.status(404).json({ error: 'Device not connected' });
+        }
+
+        conn.close('kicked');
+        res.json({ message: 'Connection closed', imei: req.params.imei, clientId: conn.clientId });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// All routes below need MongoDB
+app.use((req, res, next) => {
+    if (!getDb()) {
+        return res.status(503).json({ error: 'Database unavailable' });
+    }
+    next();
+});
+
 // ============ DEVICES ============
 
 // List all devices
@@ -43,6 +118,57 @@ app.get('/devices', async (req, res) => {
     }
 });
 
+// List unknown IMEIs that tried to log in (defined before /devices/:imei)
+// Query params: limit, skip
+app.get('/devices/pending', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const skip = parseInt(req.query.skip) || 0;
+        const pending = await pendingDevices.listPendingDevices({ limit, skip });
+        res.json(pending);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Approve pending IMEI - registers it in devices (body: modemType, carBrand, carModel, plateNumber, notes)
+app.post('/devices/pending/:imei/approve', async (req, res) => {
+    try {
+        const { modemType, carBrand, carModel, plateNumber, notes } = req.body;
+
+        const result = await pendingDevices.approvePendingDevice(req.params.imei, {
+            modemType, carBrand, carModel, plateNumber, notes
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Pending device not found' });
+        }
+        if (!result.created) {
+            return res.status(409).json({ error: 'Device already registered', device: result.device });
+        }
+
+        whitelist.update(result.device);
+        res.status(201).json(result.device);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Dismiss pending IMEI (it reappears if the device keeps trying)
+app.delete('/devices/pending/:imei', async (req, res) => {
+    try {
+        const db = getDb();
+        const result = await db.collection('pending_devices').deleteOne({ imei: req.params.imei });
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Pending device not found' });
+        }
+
+        res.json({ message: 'Pending device dismissed', imei: req.params.imei });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Get device by IMEI
 app.get('/devices/:imei', async (req, res) => {
     try {
@@ -73,18 +199,10 @@ app.post('/devices', async (req, res) => {
             return res.status(409).json({ error: 'Device already registered', device: existing });
         }
 
-        const device = {
-            imei,
-            modemType: modemType || 'FMC003',
-            carBrand: carBrand || null,
-            carModel: carModel || null,
-            plateNumber: plateNumber || null,
-            notes: notes || null,
-            approved: true,
-            createdAt: new Date()
-        };
+        const device = newDeviceDoc(imei, { modemType, carBrand, carModel, plateNumber, notes });
 
         await db.collection('devices').insertOne(device);
+        whitelist.update(device);
         res.status(201).json(device);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -94,19 +212,13 @@ app.post('/devices', async (req, res) => {
 // Approve/reject device
 app.patch('/devices/:imei/approve', async (req, res) => {
     try {
-        const db = getDb();
-        const { approved } = req.body;
-
-        const result = await db.collection('devices').updateOne(
-            { imei: req.params.imei },
-            { $set: { approved: approved !== false, updatedAt: new Date() } }
-        );
-
-        if (result.matchedCount === 0) {
+        const device = await setDeviceApproval(req.params.imei, req.body.approved);
+        if (!device) {
             return res.status(404).json({ error: 'Device not found' });
         }
 
-        const device = await db.collection('devices').findOne({ imei: req.params.imei });
+        // Revoking approval also closes the device's live connection
+        whitelist.update(device);
         res.json(device);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -123,6 +235,7 @@ app.delete('/devices/:imei', async (req, res) => {
             return res.status(404).json({ error: 'Device not found' });
         }
 
+        whitelist.remove(req.params.imei);
         res.json({ message: 'Device deleted', imei: req.params.imei });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -151,6 +264,7 @@ app.put('/devices/:imei', async (req, res) => {
         }
 
         const device = await db.collection('devices').findOne({ imei: req.params.imei });
+        whitelist.update(device);
         res.json(device);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -175,7 +289,7 @@ app.get('/devices/:imei/records', async (req, res) => {
         const skip = parseInt(req.query.skip) || 0;
 
         const records = await db.collection(collection)
-            .find({ imei: req.params.imei })
+            .find({ 'meta.imei': req.params.imei })
             .sort({ timestamp: -1 })
             .skip(skip)
             .limit(limit)
@@ -204,7 +318,7 @@ app.get('/devices/:imei/latest', async (req, res) => {
 
         const collection = getCollectionName('records', device.modemType);
         const record = await db.collection(collection)
-            .findOne({ imei: req.params.imei }, { sort: { timestamp: -1 } });
+            .findOne({ 'meta.imei': req.params.imei }, { sort: { timestamp: -1 } });
 
         if (!record) {
             return res.status(404).json({ error: 'No records found' });
@@ -225,6 +339,9 @@ app.get('/devices/:imei/records/range', async (req, res) => {
         if (!from || !to) {
             return res.status(400).json({ error: 'Missing from or to parameter' });
         }
+        if (!parseTime(from) || !parseTime(to)) {
+            return res.status(400).json({ error: 'Invalid from or to' });
+        }
 
         const device = await db.collection('devices').findOne({ imei: req.params.imei });
         if (!device) {
@@ -234,10 +351,10 @@ app.get('/devices/:imei/records/range', async (req, res) => {
         const collection = getCollectionName('records', device.modemType);
         const records = await db.collection(collection)
             .find({
-                imei: req.params.imei,
+                'meta.imei': req.params.imei,
                 timestamp: {
-                    $gte: from,
-                    $lte: to
+                    $gte: parseTime(from),
+                    $lte: parseTime(to)
                 }
             })
             .sort({ timestamp: 1 })
@@ -288,365 +405,338 @@ app.get('/devices/:imei/raw', async (req, res) => {
     }
 });
 
-// ============ STATS ============
+// ============ ADMIN ============
 
-// Get stats for a device
-app.get('/devices/:imei/stats', async (req, res) => {
+// Re-decode stored raw frames of a device and rebuild its records (runs in the background)
+// Body: { imei, modemType?, from?, to? (raw receive time), dryRun? }
+app.post('/admin/reprocess', async (req, res) => {
     try {
         const db = getDb();
+        const { imei, modemType, from, to, dryRun } = req.body || {};
 
-        const device = await db.collection('devices').findOne({ imei: req.params.imei });
+        if (!imei) {
+            return res.status(400).json({ error: 'Missing imei' });
+        }
+        if ((from && !parseTime(from)) || (to && !parseTime(to))) {
+            return res.status(400).json({ error: 'Invalid from or to' });
+        }
+
+        const device = await db.collection('devices').findOne({ imei });
         if (!device) {
             return res.status(404).json({ error: 'Device not found' });
         }
 
-        const collection = getCollectionName('records', device.modemType);
+        const job = reprocess.startJob({ imei, modemType: modemType || device.modemType, from, to, dryRun });
+        res.status(202).json(job);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        const totalRecords = await db.collection(collection).countDocuments({ imei: req.params.imei });
+// Reprocessing jobs since server start, newest first
+app.get('/admin/reprocess', (req, res) => {
+    const jobs = reprocess.listJobs();
+    res.json({ count: jobs.length, jobs });
+});
 
-        const lastRecord = await db.collection(collection)
-            .findOne({ imei: req.params.imei }, { sort: { timestamp: -1 } });
+// Job progress and result: frames, records unchanged / changed / new, changed fields, diff samples
+app.get('/admin/reprocess/:id', (req, res) => {
+    const job = reprocess.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
 
-        const firstRecord = await db.collection(collection)
-            .findOne({ imei: req.params.imei }, { sort: { timestamp: 1 } });
+// ============ COMMANDS ============
 
-        // Get today's record count
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const todayRecords = await db.collection(collection).countDocuments({
-            imei: req.params.imei,
-            createdAt: { $gte: today }
+// Queue GPRS command (Codec 12) for a device
+// Sent immediately if the device is connected, otherwise on its next login
+app.post('/devices/:imei/commands', async (req, res) => {
+    try {
+        const db = getDb();
+        const { command } = req.body;
+
+        const validationError = commands.validateCommand(command);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const device = await db.collection('devices').findOne({ imei: req.params.imei });
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const queued = await commands.queueCommand(req.params.imei, command);
+        res.status(201).json({
+            ...queued,
+            deviceConnected: connections.get(req.params.imei) !== null
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// List commands for a device (newest first)
+// Query params: status (queued/sent/answered/timeout), limit, skip
+app.get('/devices/:imei/commands', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const skip = parseInt(req.query.skip) || 0;
+
+        const list = await commands.listCommands(req.params.imei, {
+            limit,
+            skip,
+            status: req.query.status
         });
 
         res.json({
             device: req.params.imei,
-            modemType: device.modemType,
-            vin: device.vin,
-            carBrand: device.carBrand,
-            carModel: device.carModel,
-            plateNumber: device.plateNumber,
-            totalRecords,
-            todayRecords,
-            firstRecord: firstRecord?.timestamp,
-            lastRecord: lastRecord?.timestamp,
-            lastPosition: lastRecord?.gps,
-            lastIgnition: lastRecord?.ignition,
-            lastSpeed: lastRecord?.gps?.speed
+            deviceConnected: connections.get(req.params.imei) !== null,
+            count: list.length,
+            commands: list
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// ============ DRIVER BEHAVIOR ============
+// ============ SESSIONS ============
 
-/**
- * Convert unsigned 16-bit to signed (accelerometer values)
- * FMC003 accelerometer returns mG values as unsigned 16-bit
- */
-function toSigned16(val) {
-    if (val === undefined || val === null) return null;
-    return val > 32767 ? val - 65536 : val;
-}
+// Connection history for a device, newest first
+// Query params: limit, skip
+app.get('/devices/:imei/sessions', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const skip = parseInt(req.query.skip) || 0;
+        const list = await sessions.getSessions(req.params.imei, { limit, skip });
 
-/**
- * Apply median filter to remove noise from accelerometer data
- * Uses a sliding window of 3 samples
- */
-function medianFilter(values) {
-    if (values.length < 3) return values;
-    const filtered = [values[0]];
-    for (let i = 1; i < values.length - 1; i++) {
-        const window = [values[i - 1], values[i], values[i + 1]].sort((a, b) => a - b);
-        filtered.push(window[1]); // median
+        res.json({
+            device: req.params.imei,
+            count: list.length,
+            sessions: list
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
-    filtered.push(values[values.length - 1]);
-    return filtered;
-}
+});
 
-/**
- * Calculate driver behavior score for a set of trip records
- * Based on FMC003 capabilities:
- * - Accelerometer X/Y/Z (harsh braking/acceleration/cornering)
- * - Speed (GPS)
- * - Ignition + Movement (idle detection)
- *
- * Returns null if insufficient accelerometer data
- */
-function calculateDriverBehavior(tripRecords) {
-    // Filter records that have accelerometer data
-    const accelRecords = tripRecords.filter(r =>
-        r.accelerometerX !== undefined &&
-        r.accelerometerY !== undefined
-    );
-
-    // Need minimum 5 records with accelerometer for reliable analysis
-    if (accelRecords.length < 5) {
-        return null;
+// Device history: duplicate connections and IMEI-cloning suspicions, newest first
+// Query params: type (duplicate_connection | clone_suspected), limit, skip
+app.get('/devices/:imei/events', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const skip = parseInt(req.query.skip) || 0;
+        const events = await getDeviceEvents(req.params.imei, { type: req.query.type || null, limit, skip });
+
+        res.json({
+            device: req.params.imei,
+            count: events.length,
+            events
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
+});
 
-    // ============ THRESHOLDS ============
-    // Based on industry standards for fleet management:
-    // - Hard brake/accel: > 0.35g sustained for 200ms+
-    // - Harsh cornering: > 0.3g lateral at speed > 20 km/h
-    // FMC003 reports in mG, so 350 mG = 0.35g
-    const HARD_BRAKE_THRESHOLD = 150;      // mG deviation (negative X = braking)
-    const HARD_ACCEL_THRESHOLD = 200;      // mG deviation (positive X = acceleration)
-    const HARSH_CORNER_THRESHOLD = 150;    // mG lateral deviation
-    const MIN_SPEED_FOR_EVENTS = 10;       // km/h - ignore events below this speed
-    const MIN_SPEED_FOR_CORNERING = 20;    // km/h - cornering needs higher speed
-    const IDLE_THRESHOLD_SECONDS = 300;    // 5 minutes of idle = penalty
-    const EVENT_COOLDOWN_MS = 2000;        // 2 seconds between same event type
-
-    // ============ STEP 1: Calculate baseline from stationary records ============
-    const stationaryRecords = tripRecords.filter(r => {
-        const speed = r.obdVehicleSpeed || r.gps?.speed || 0;
-        return speed < 3 && r.accelerometerX !== undefined && r.accelerometerY !== undefined;
-    });
+// ============ DIAGNOSTICS ============
 
-    let baselineX = 0;
-    let baselineY = 0;
-
-    if (stationaryRecords.length >= 3) {
-        // Use median of stationary records for robust baseline
-        const xValues = stationaryRecords.map(r => toSigned16(r.accelerometerX)).sort((a, b) => a - b);
-        const yValues = stationaryRecords.map(r => toSigned16(r.accelerometerY)).sort((a, b) => a - b);
-        const midIdx = Math.floor(xValues.length / 2);
-        baselineX = xValues[midIdx];
-        baselineY = yValues[midIdx];
-    } else {
-        // Fallback: average of first few readings
-        const firstRecords = accelRecords.slice(0, 5);
-        baselineX = Math.round(firstRecords.reduce((sum, r) => sum + toSigned16(r.accelerometerX), 0) / firstRecords.length);
-        baselineY = Math.round(firstRecords.reduce((sum, r) => sum + toSigned16(r.accelerometerY), 0) / firstRecords.length);
-    }
+// Get OBD fault codes (IO 387/388) for a device
+// Returns open active/pending faults and cleared history (query param: limit)
+app.get('/devices/:imei/dtc', async (req, res) => {
+    try {
+        const db = getDb();
 
-    // ============ STEP 2: Prepare filtered accelerometer data ============
-    // Extract and convert accelerometer values
-    const xRaw = accelRecords.map(r => toSigned16(r.accelerometerX) - baselineX);
-    const yRaw = accelRecords.map(r => toSigned16(r.accelerometerY) - baselineY);
-
-    // Apply median filter to reduce noise
-    const xFiltered = medianFilter(xRaw);
-    const yFiltered = medianFilter(yRaw);
-
-    // ============ STEP 3: Detect events ============
-    let hardBraking = 0;
-    let hardAcceleration = 0;
-    let harshCornering = 0;
-    let idleSeconds = 0;
-    let maxSpeed = 0;
-    let maxRpm = 0;
-
-    // Cooldown tracking
-    let lastBrakeTime = null;
-    let lastAccelTime = null;
-    let lastCornerTime = null;
-
-    let prevRecord = null;
-
-    for (let i = 0; i < tripRecords.length; i++) {
-        const r = tripRecords[i];
-        const speed = r.obdVehicleSpeed || r.gps?.speed || 0;
-        const rpm = r.obdEngineRpm || 0;
-        const currentTime = new Date(r.timestamp).getTime();
-        const ignition = r.ignition || 0;
-        const movement = r.movement || 0;
-
-        // Track max values
-        if (speed > maxSpeed) maxSpeed = speed;
-        if (rpm > maxRpm) maxRpm = rpm;
-
-        // Calculate time delta
-        let deltaSeconds = 5;
-        if (prevRecord) {
-            const timeDiff = (new Date(r.timestamp) - new Date(prevRecord.timestamp)) / 1000;
-            deltaSeconds = Math.min(Math.max(1, timeDiff), 60); // Cap between 1-60s
+        const device = await db.collection('devices').findOne({ imei: req.params.imei });
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
         }
 
-        // ============ IDLE DETECTION ============
-        // Ignition ON + Speed = 0 + not moving
-        if (ignition === 1 && speed < 3 && movement === 0) {
-            idleSeconds += deltaSeconds;
-        }
+        const collection = getCollectionName('records', device.modemType);
+        const lastRecord = await db.collection(collection)
+            .findOne({ 'meta.imei': req.params.imei, obdDtcCount: { $exists: true } }, { sort: { timestamp: -1 } });
 
-        // ============ ACCELEROMETER EVENTS ============
-        // Find corresponding filtered accelerometer record
-        const accelIdx = accelRecords.findIndex(ar => ar.timestamp === r.timestamp);
+        const historyLimit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const events = await getDtcEvents(req.params.imei, { historyLimit });
 
-        if (accelIdx >= 0 && speed >= MIN_SPEED_FOR_EVENTS) {
-            const devX = xFiltered[accelIdx];
-            const devY = yFiltered[accelIdx];
+        res.json({
+            device: req.params.imei,
+            obdDtcCount: lastRecord ? lastRecord.obdDtcCount : null,
+            obdDtcCountAt: lastRecord ? lastRecord.timestamp : null,
+            active: events.active,
+            pending: events.pending,
+            history: events.history
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-            // Hard braking (large negative X)
-            if (devX < -HARD_BRAKE_THRESHOLD) {
-                if (!lastBrakeTime || (currentTime - lastBrakeTime) > EVENT_COOLDOWN_MS) {
-                    hardBraking++;
-                    lastBrakeTime = currentTime;
-                }
-            }
+// ============ INCIDENTS ============
 
-            // Hard acceleration (large positive X)
-            if (devX > HARD_ACCEL_THRESHOLD) {
-                if (!lastAccelTime || (currentTime - lastAccelTime) > EVENT_COOLDOWN_MS) {
-                    hardAcceleration++;
-                    lastAccelTime = currentTime;
-                }
-            }
+// List crash incidents for a device (summary without trace and track)
+// Query params: limit, skip
+app.get('/devices/:imei/incidents', async (req, res) => {
+    try {
+        const db = getDb();
 
-            // Harsh cornering (large Y deviation at sufficient speed)
-            if (Math.abs(devY) > HARSH_CORNER_THRESHOLD && speed >= MIN_SPEED_FOR_CORNERING) {
-                if (!lastCornerTime || (currentTime - lastCornerTime) > EVENT_COOLDOWN_MS) {
-                    harshCornering++;
-                    lastCornerTime = currentTime;
-                }
-            }
+        const device = await db.collection('devices').findOne({ imei: req.params.imei });
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
         }
 
-        prevRecord = r;
-    }
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const skip = parseInt(req.query.skip) || 0;
+        const list = await incidents.listIncidents(req.params.imei, { limit, skip });
 
-    // ============ STEP 4: Calculate scores ============
-    // Two separate scores:
-    // - driverScore: behavior (braking, acceleration, cornering)
-    // - efficiencyScore: fleet efficiency (idle time)
-
-    // Calculate trip duration
-    const tripStart = new Date(tripRecords[0].timestamp);
-    const tripEnd = new Date(tripRecords[tripRecords.length - 1].timestamp);
-    const tripDurationMinutes = Math.round((tripEnd - tripStart) / 60000);
-
-    // Normalization factor CLAMPED between 1-6 (max normalization = 60 min)
-    // Beyond 1 hour, behavior must count fully
-    const durationFactor = Math.min(6, Math.max(1, tripDurationMinutes / 10));
-
-    // === DRIVER SCORE (behavior only) ===
-    // Raw penalties with CAPS per category
-    const rawPenalties = {
-        hardBraking: Math.min(25, hardBraking * 4),           // Cap 25, -4 per event
-        hardAcceleration: Math.min(20, hardAcceleration * 2), // Cap 20, -2 per event
-        harshCornering: Math.min(15, harshCornering * 3)      // Cap 15, -3 per event
-    };
-
-    const totalRawPenalty = Object.values(rawPenalties).reduce((a, b) => a + b, 0);
-
-    // Severe events = braking + cornering (most dangerous)
-    const severeEvents = hardBraking + harshCornering;
-
-    // Normalized penalty with MINIMUM FLOOR for severe events
-    // Ensures at least 3 points penalty if any severe event occurred
-    const normalizedPenalty = Math.max(
-        totalRawPenalty / durationFactor,
-        severeEvents > 0 ? 3 : 0
-    );
-
-    // Final driver score clamped 0-100
-    const driverScore = Math.max(0, Math.min(100, Math.round(100 - normalizedPenalty)));
-
-    // === EFFICIENCY SCORE (idle time) ===
-    // Separate from driver behavior - this is fleet efficiency metric
-    const idleMinutes = Math.round(idleSeconds / 60);
-    const idlePenalty = Math.min(30, Math.floor(idleMinutes / 5) * 2); // -2 per 5 min idle, cap 30
-    const efficiencyScore = Math.max(0, Math.min(100, 100 - idlePenalty));
-
-    // ============ CONFIDENCE CALCULATION ============
-    // Determines how reliable the score is based on data quality
-    const confidenceReasons = [];
-
-    // Check GNSS quality (from first/last records with GPS)
-    const gpsRecords = tripRecords.filter(r => r.gps?.satellites > 0);
-    const avgSatellites = gpsRecords.length > 0
-        ? gpsRecords.reduce((sum, r) => sum + r.gps.satellites, 0) / gpsRecords.length
-        : 0;
-
-    if (avgSatellites < 3) {
-        confidenceReasons.push('poor_gnss');
+        res.json({
+            device: req.params.imei,
+            count: list.length,
+            incidents: list
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
+});
 
-    // Check if we have enough accelerometer data
-    const accelCoverage = accelRecords.length / tripRecords.length;
-    if (accelCoverage < 0.3) {
-        confidenceReasons.push('low_accel_coverage');
+// Get full crash incident (accelerometer trace, GPS track, ignition, peak g)
+app.get('/incidents/:id', async (req, res) => {
+    try {
+        const incident = await incidents.getIncident(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+        res.json(incident);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
+});
 
-    // Check trip duration (very short trips have less reliable data)
-    if (tripDurationMinutes < 5) {
-        confidenceReasons.push('short_trip');
-    }
+// ============ BEACONS ============
 
-    // Check if distance was estimated (odometer didn't update)
-    const startOdo = tripRecords[0]?.totalOdometer;
-    const endOdo = tripRecords[tripRecords.length - 1]?.totalOdometer;
-    if (startOdo && endOdo && startOdo === endOdo) {
-        confidenceReasons.push('distance_estimated');
-    }
+// Get BLE beacons (IO 385) seen by a device, grouped per beacon
+// Query params: from, to (ISO dates, optional)
+app.get('/devices/:imei/beacons', async (req, res) => {
+    try {
+        const db = getDb();
+        const { from, to } = req.query;
 
-    // Determine confidence level
-    // Note: short_trip doesn't affect score, only perfectTrip eligibility
-    const scoreAffectingReasons = confidenceReasons.filter(r => r !== 'short_trip');
-    let confidenceLevel = 'high';
-    if (scoreAffectingReasons.length >= 2) {
-        confidenceLevel = 'low';
-    } else if (scoreAffectingReasons.length === 1) {
-        confidenceLevel = 'medium';
-    }
+        if ((from && !parseTime(from)) || (to && !parseTime(to))) {
+            return res.status(400).json({ error: 'Invalid from or to' });
+        }
+
+        const device = await db.collection('devices').findOne({ imei: req.params.imei });
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
 
-    // ============ PERFECT TRIP DETERMINATION ============
-    // Perfect trip requires: no penalties + high confidence + minimum duration
-    const perfectTrip = totalRawPenalty === 0 &&
-                        confidenceLevel === 'high' &&
-                        tripDurationMinutes >= 5;
+        const collection = getCollectionName('records', device.modemType);
+        const match = {
+            'meta.imei': req.params.imei,
+            'beacons.0': { $exists: true }
+        };
+        if (from || to) {
+            match.timestamp = {};
+            if (from) match.timestamp.$gte = parseTime(from);
+            if (to) match.timestamp.$lte = parseTime(to);
+        }
 
-    // Apply confidence damping (low confidence caps score at 95)
-    let finalDriverScore = driverScore;
-    if (confidenceLevel === 'low' && driverScore > 95) {
-        finalDriverScore = 95;
+        const beacons = await db.collection(collection).aggregate([
+            { $match: match },
+            { $sort: { timestamp: 1 } },
+            { $unwind: '$beacons' },
+            {
+                $group: {
+                    _id: '$beacons.id',
+                    type: { $last: '$beacons.type' },
+                    firstSeen: { $first: '$timestamp' },
+                    lastSeen: { $last: '$timestamp' },
+                    sightings: { $sum: 1 },
+                    lastRssi: { $last: '$beacons.rssi' },
+                    maxRssi: { $max: '$beacons.rssi' },
+                    lastBatteryVoltage: { $last: '$beacons.batteryVoltage' },
+                    lastTemperature: { $last: '$beacons.temperature' },
+                    lastPosition: { $last: '$gps' }
+                }
+            },
+            {
+                $lookup: {
+                    from: 'beacon_assets',
+                    localField: '_id',
+                    foreignField: 'beaconId',
+                    as: 'asset'
+                }
+            },
+            { $sort: { lastSeen: -1 } }
+        ]).toArray();
+
+        res.json({
+            device: req.params.imei,
+            from: from || null,
+            to: to || null,
+            count: beacons.length,
+            beacons: beacons.map(({ _id, asset, ...rest }) => ({
+                beaconId: _id,
+                asset: asset[0] || null,
+                ...rest
+            }))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
+});
 
-    return {
-        score: finalDriverScore,  // Main score for backward compatibility
-        driverScore: finalDriverScore,
-        efficiencyScore,
-        perfectTrip,
-        confidence: {
-            level: confidenceLevel,
-            reasons: confidenceReasons,
-            accelCoverage: Math.round(accelCoverage * 100),
-            avgSatellites: Math.round(avgSatellites * 10) / 10
-        },
-        events: {
-            hardBraking,
-            hardAcceleration,
-            harshCornering,
-            idleMinutes
-        },
-        penalties: {
-            raw: rawPenalties,
-            totalRaw: totalRawPenalty,
-            normalized: Math.round(normalizedPenalty * 10) / 10,
-            durationFactor: Math.round(durationFactor * 10) / 10,
-            severeEvents,
-            idlePenalty
-        },
-        maxSpeed,
-        maxRpm,
-        baseline: {
-            x: Math.round(baselineX),
-            y: Math.round(baselineY)
-        },
-        analysis: {
-            recordsWithAccel: accelRecords.length,
-            totalRecords: tripRecords.length,
-            tripDurationMinutes
+// List tagged beacon assets
+app.get('/beacons', async (req, res) => {
+    try {
+        const db = getDb();
+        const assets = await db.collection('beacon_assets')
+            .find({})
+            .sort({ name: 1 })
+            .toArray();
+        res.json(assets);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Tag beacon as an asset (trailer, tool box, ...)
+// beaconId: iBeacon "uuid:major:minor" or Eddystone "namespace:instance"
+app.put('/beacons/:beaconId', async (req, res) => {
+    try {
+        const db = getDb();
+        const { name, assetType, notes } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ error: 'Missing name' });
         }
-    };
-}
 
-// ============ TRIPS ============
+        const now = new Date();
+        await db.collection('beacon_assets').updateOne(
+            { beaconId: req.params.beaconId },
+            {
+                $set: {
+                    name,
+                    assetType: assetType || null,
+                    notes: notes || null,
+                    updatedAt: now
+                },
+                $setOnInsert: { beaconId: req.params.beaconId, createdAt: now }
+            },
+            { upsert: true }
+        );
 
-// Get trips (based on ignition on/off)
-// Query params: start, end (ISO dates), limit (max 25), skip (pagination)
-app.get('/devices/:imei/trips', async (req, res) => {
+        const asset = await db.collection('beacon_assets').findOne({ beaconId: req.params.beaconId });
+        res.json(asset);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ STATS ============
+
+// Get stats for a device
+app.get('/devices/:imei/stats', async (req, res) => {
     try {
         const db = getDb();
 
@@ -656,181 +746,80 @@ app.get('/devices/:imei/trips', async (req, res) => {
         }
 
         const collection = getCollectionName('records', device.modemType);
-        const limit = Math.min(parseInt(req.query.limit) || 25, 25);  // Max 25 per page
-        const skip = parseInt(req.query.skip) || 0;
 
-        // Build query with optional date range
-        const query = {
-            imei: req.params.imei,
-            ignition: { $exists: true }
-        };
+        const totalRecords = await db.collection(collection).countDocuments({ 'meta.imei': req.params.imei });
 
-        // Add date range filter if provided
-        if (req.query.start || req.query.end) {
-            query.timestamp = {};
-            if (req.query.start) {
-                query.timestamp.$gte = req.query.start;
-            }
-            if (req.query.end) {
-                query.timestamp.$lte = req.query.end;
-            }
-        }
-
-        // Get records (we need all data in range to calculate stats)
-        const records = await db.collection(collection)
-            .find(query)
-            .sort({ timestamp: 1 })  // Sort ascending for easier processing
-            .toArray();
-
-        // Group into trips based on engine running (RPM > 0 or ignition with timeout)
-        const trips = [];
-        let currentTrip = null;
-        let tripRecords = [];
-        let lastEngineOnTime = null;
-
-        // Engine is considered ON if ignition=1 OR rpm > 0
-        const isEngineOn = (r) => r.ignition === 1 || (r.obdEngineRpm && r.obdEngineRpm > 0);
-
-        for (const record of records) {
-            const engineOn = isEngineOn(record);
-
-            if (engineOn && !currentTrip) {
-                // Trip starts
-                currentTrip = {
-                    startTime: record.timestamp,
-                    startOdometer: record.totalOdometer
-                };
-                tripRecords = [record];
-                lastEngineOnTime = new Date(record.timestamp);
-            } else if (engineOn && currentTrip) {
-                // During trip - collect record
-                tripRecords.push(record);
-                lastEngineOnTime = new Date(record.timestamp);
-            } else if (!engineOn && currentTrip) {
-                // Check if engine has been off for more than 60 seconds
-                const timeSinceLastOn = new Date(record.timestamp) - lastEngineOnTime;
-
-                if (timeSinceLastOn > 60000) {
-                    // Trip ends - use the last record where engine was on
-                    const lastOnRecord = tripRecords[tripRecords.length - 1];
-
-                    currentTrip.endTime = lastOnRecord.timestamp;
-                    currentTrip.endOdometer = lastOnRecord.totalOdometer;
-
-                    // Calculate distance in meters and km
-                    if (currentTrip.startOdometer && currentTrip.endOdometer) {
-                        currentTrip.distanceMeters = currentTrip.endOdometer - currentTrip.startOdometer;
-                        currentTrip.distanceKm = Math.round(currentTrip.distanceMeters / 100) / 10;
-                    }
-
-                    // If odometer didn't change but we have speed data, estimate distance from speed × time
-                    if (currentTrip.distanceMeters === 0 || !currentTrip.distanceMeters) {
-                        let estimatedDistanceMeters = 0;
-                        for (let i = 1; i < tripRecords.length; i++) {
-                            const prevTime = new Date(tripRecords[i - 1].timestamp);
-                            const currTime = new Date(tripRecords[i].timestamp);
-                            const deltaSeconds = (currTime - prevTime) / 1000;
-                            const speed = tripRecords[i - 1].obdVehicleSpeed || tripRecords[i - 1].gps?.speed || 0;
-                            // speed is km/h, convert to m/s then multiply by time
-                            estimatedDistanceMeters += (speed / 3.6) * deltaSeconds;
-                        }
-                        if (estimatedDistanceMeters > 0) {
-                            currentTrip.distanceMeters = Math.round(estimatedDistanceMeters);
-                            currentTrip.distanceKm = Math.round(estimatedDistanceMeters / 100) / 10;
-                            currentTrip.distanceEstimated = true;
-                        }
-                    }
+        const lastRecord = await db.collection(collection)
+            .findOne({ 'meta.imei': req.params.imei }, { sort: { timestamp: -1 } });
 
-                    // Calculate duration
-                    const startDate = new Date(currentTrip.startTime);
-                    const endDate = new Date(currentTrip.endTime);
-                    const durationMs = endDate - startDate;
-                    const totalMinutes = Math.round(durationMs / 60000);
-                    const hours = Math.floor(totalMinutes / 60);
-                    const minutes = totalMinutes % 60;
-                    currentTrip.duration = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
-                    currentTrip.durationMinutes = totalMinutes;
-
-                    // Calculate average speed from distance/time (includes stops)
-                    if (currentTrip.distanceMeters && totalMinutes > 0) {
-                        const durationHours = totalMinutes / 60;
-                        currentTrip.avgSpeedTotal = Math.round(currentTrip.distanceKm / durationHours * 10) / 10;
-                    }
+        const firstRecord = await db.collection(collection)
+            .findOne({ 'meta.imei': req.params.imei }, { sort: { timestamp: 1 } });
 
-                    // Find max speed and calculate avg from OBD/GPS records (only when moving)
-                    let maxSpeed = 0;
-                    let speedSum = 0;
-                    let speedCount = 0;
-
-                    for (const r of tripRecords) {
-                        const speed = r.obdVehicleSpeed || r.gps?.speed || 0;
-                        if (speed > 0) {
-                            speedSum += speed;
-                            speedCount++;
-                            if (speed > maxSpeed) maxSpeed = speed;
-                        }
-                    }
+        // Get today's record count
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const todayRecords = await db.collection(collection).countDocuments({
+            'meta.imei': req.params.imei,
+            createdAt: { $gte: today }
+        });
 
-                    currentTrip.maxSpeed = maxSpeed;
-                    if (speedCount > 0) {
-                        currentTrip.avgSpeedMoving = Math.round(speedSum / speedCount * 10) / 10;
-                    }
+        res.json({
+            device: req.params.imei,
+            modemType: device.modemType,
+            vin: device.vin,
+            carBrand: device.carBrand,
+            carModel: device.carModel,
+            plateNumber: device.plateNumber,
+            totalRecords,
+            todayRecords,
+            firstRecord: firstRecord?.timestamp,
+            lastRecord: lastRecord?.timestamp,
+            lastPosition: lastRecord?.gps,
+            lastIgnition: lastRecord?.ignition,
+            lastSpeed: lastRecord?.gps?.speed
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-                    // Calculate fuel consumption from GPS (only for trips > 2km and > 5 minutes)
-                    const startFuel = tripRecords[0].fuelUsedGps;
-                    const endFuel = tripRecords[tripRecords.length - 1].fuelUsedGps;
-                    if (startFuel !== undefined && endFuel !== undefined) {
-                        const fuelUsedMl = endFuel - startFuel;
-
-                        if (currentTrip.distanceKm >= 2 && currentTrip.durationMinutes >= 5 && fuelUsedMl > 0) {
-                            currentTrip.fuelUsedMl = fuelUsedMl;
-                            currentTrip.fuelUsedLiters = Math.round(fuelUsedMl / 10) / 100;
-                            currentTrip.fuelPer100km = Math.round((currentTrip.fuelUsedLiters / currentTrip.distanceKm) * 100 * 10) / 10;
-                            currentTrip.fuelFromGps = true; // Flag: GPS-estimated, not OBD real
-                        }
-                    }
+// ============ TRIPS ============
 
-                    // Find first/last position with valid GPS (satellites > 0)
-                    const validGpsRecords = tripRecords.filter(r => r.gps?.satellites > 0);
-                    if (validGpsRecords.length > 0) {
-                        currentTrip.startPosition = validGpsRecords[0].gps;
-                        currentTrip.endPosition = validGpsRecords[validGpsRecords.length - 1].gps;
-                    } else {
-                        currentTrip.startPosition = tripRecords[0].gps;
-                        currentTrip.endPosition = tripRecords[tripRecords.length - 1].gps;
-                    }
+// Get trips (based on ignition on/off), built in the background into the trips collection
+// Query params: start, end (ISO dates, trip start), limit (max 100), skip (pagination), open=true (include running trip)
+app.get('/devices/:imei/trips', async (req, res) => {
+    try {
+        const db = getDb();
 
-                    // Calculate driver behavior (returns null if insufficient accelerometer data)
-                    const driverBehavior = calculateDriverBehavior(tripRecords);
-                    if (driverBehavior) {
-                        currentTrip.driverBehavior = driverBehavior;
-                    }
+        const device = await db.collection('devices').findOne({ imei: req.params.imei });
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
 
-                    // Only add trip if it has meaningful data (duration >= 2 min or distance > 100m)
-                    if (currentTrip.durationMinutes >= 2 || currentTrip.distanceMeters > 100) {
-                        trips.push(currentTrip);
-                    }
-                    currentTrip = null;
-                    tripRecords = [];
-                }
-                // else: engine briefly off, keep collecting records
-            }
+        const { start, end } = req.query;
+        if ((start && !parseTime(start)) || (end && !parseTime(end))) {
+            return res.status(400).json({ error: 'Invalid start or end' });
         }
 
-        // Sort trips by start time descending (most recent first)
-        trips.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+        const limit = Math.min(parseInt(req.query.limit) || 25, 100);  // Max 100 per page
+        const skip = parseInt(req.query.skip) || 0;
 
-        // Apply pagination
-        const paginatedTrips = trips.slice(skip, skip + limit);
+        const { total, trips } = await listTrips(req.params.imei, {
+            start: parseTime(start),
+            end: parseTime(end),
+            includeOpen: req.query.open === 'true',
+            limit,
+            skip
+        });
 
         res.json({
             device: req.params.imei,
-            total: trips.length,
+            total,
             limit,
             skip,
-            hasMore: skip + limit < trips.length,
-            count: paginatedTrips.length,
-            trips: paginatedTrips
+            hasMore: skip + limit < total,
+            count: trips.length,
+            trips
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -844,6 +833,10 @@ app.get('/devices/:imei/daily/:date?', async (req, res) => {
     try {
         const db = getDb();
 
+        if (req.params.date && !parseTime(req.params.date)) {
+            return res.status(400).json({ error: 'Invalid date (format: YYYY-MM-DD)' });
+        }
+
         const device = await db.collection('devices').findOne({ imei: req.params.imei });
         if (!device) {
             return res.status(404).json({ error: 'Device not found' });
@@ -858,20 +851,21 @@ app.get('/devices/:imei/daily/:date?', async (req, res) => {
         } else {
             targetDate = new Date();
         }
-        targetDate.setHours(0, 0, 0, 0);
+        // UTC day, as the per-day grouping of dailyTripStats and the date string below
+        targetDate.setUTCHours(0, 0, 0, 0);
 
         const nextDay = new Date(targetDate);
-        nextDay.setDate(nextDay.getDate() + 1);
+        nextDay.setUTCDate(nextDay.getUTCDate() + 1);
 
         const dateStr = targetDate.toISOString().split('T')[0];
 
         // Get all records for the day
         const records = await db.collection(collection)
             .find({
-                imei: req.params.imei,
+                'meta.imei': req.params.imei,
                 timestamp: {
-                    $gte: targetDate.toISOString(),
-                    $lt: nextDay.toISOString()
+                    $gte: targetDate,
+                    $lt: nextDay
                 }
             })
             .sort({ timestamp: 1 })
@@ -923,12 +917,6 @@ app.get('/devices/:imei/daily/:date?', async (req, res) => {
         let maxCoolantTemp = 0;
         let engineLoadSum = 0, engineLoadCount = 0;
 
-        let ignitionOnTime = 0;
-        let lastIgnitionOn = null;
-        let tripCount = 0;
-        let inTrip = false;
-        let lastEngineOnTime = null;
-
         for (const r of records) {
             // Engine ON = alternator charging (ignition + rpm or movement or speed)
             const isEngineOn = r.ignition === 1 && (r.movement === 1 || r.obdVehicleSpeed > 0 || r.obdEngineRpm > 0);
@@ -986,39 +974,14 @@ app.get('/devices/:imei/daily/:date?', async (req, res) => {
                 engineLoadSum += r.obdEngineLoad;
                 engineLoadCount++;
             }
-
-            // Trip counting with engine-based logic (same as trips endpoint)
-            const engineOn = r.ignition === 1 || (r.obdEngineRpm && r.obdEngineRpm > 0);
-
-            if (engineOn && !inTrip) {
-                // New trip starts
-                inTrip = true;
-                tripCount++;
-                lastEngineOnTime = new Date(r.timestamp);
-                if (!lastIgnitionOn) lastIgnitionOn = new Date(r.timestamp);
-            } else if (engineOn && inTrip) {
-                // Still in trip
-                lastEngineOnTime = new Date(r.timestamp);
-            } else if (!engineOn && inTrip) {
-                // Check if engine has been off for > 60 seconds
-                const timeSinceLastOn = new Date(r.timestamp) - lastEngineOnTime;
-                if (timeSinceLastOn > 60000) {
-                    // Trip ends
-                    inTrip = false;
-                    if (lastIgnitionOn) {
-                        ignitionOnTime += lastEngineOnTime - lastIgnitionOn;
-                        lastIgnitionOn = null;
-                    }
-                }
-            }
         }
 
-        // If still in trip at end of day, add remaining time
-        if (inTrip && lastIgnitionOn && lastEngineOnTime) {
-            ignitionOnTime += lastEngineOnTime - lastIgnitionOn;
-        }
+        // Trips starting this day, from the trips collection (local day may span two UTC dates)
+        const tripDays = [...(await dailyTripStats(req.params.imei, targetDate, nextDay)).values()];
+        const tripCount = tripDays.reduce((sum, day) => sum + day.tripCount, 0);
+        const drivingMs = tripDays.reduce((sum, day) => sum + day.drivingMs, 0);
 
-        const drivingMinutes = Math.round(ignitionOnTime / 60000);
+        const drivingMinutes = Math.round(drivingMs / 60000);
         const drivingHours = Math.floor(drivingMinutes / 60);
         const drivingMins = drivingMinutes % 60;
 
@@ -1097,6 +1060,9 @@ app.get('/devices/:imei/daily-range', async (req, res) => {
         if (!from || !to) {
             return res.status(400).json({ error: 'Missing from or to parameter (format: YYYY-MM-DD)' });
         }
+        if (!parseTime(from) || !parseTime(to)) {
+            return res.status(400).json({ error: 'Invalid from or to' });
+        }
 
         const device = await db.collection('devices').findOne({ imei: req.params.imei });
         if (!device) {
@@ -1108,18 +1074,20 @@ app.get('/devices/:imei/daily-range', async (req, res) => {
         // Get aggregated daily stats
         const startDate = new Date(from);
         const endDate = new Date(to);
-        endDate.setDate(endDate.getDate() + 1);
+        endDate.setUTCDate(endDate.getUTCDate() + 1);
 
         const pipeline = [
             {
                 $match: {
-                    imei: req.params.imei,
-                    timestamp: { $gte: startDate.toISOString(), $lt: endDate.toISOString() }
+                    'meta.imei': req.params.imei,
+                    timestamp: { $gte: startDate, $lt: endDate }
                 }
             },
+            // Time-series collections return buckets in no particular order ($first / $last below)
+            { $sort: { timestamp: 1 } },
             {
                 $addFields: {
-                    date: { $substr: ['$timestamp', 0, 10] }
+                    date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }
                 }
             },
             {
@@ -1144,6 +1112,7 @@ app.get('/devices/:imei/daily-range', async (req, res) => {
         ];
 
         const results = await db.collection(collection).aggregate(pipeline).toArray();
+        const tripDays = await dailyTripStats(req.params.imei, startDate, endDate);
 
         const days = results.map(r => {
             const distanceMeters = (r.lastOdometer || 0) - (r.firstOdometer || 0);
@@ -1151,33 +1120,12 @@ app.get('/devices/:imei/daily-range', async (req, res) => {
             const distanceKm = Math.round(distanceMeters / 100) / 10;
             const fuelUsedLiters = Math.round(fuelUsedMl / 10) / 100;
 
-            // Calculate voltage by engine state and count trips
+            // Calculate voltage by engine state
             let battOnSum = 0, battOnCnt = 0, battOffSum = 0, battOffCnt = 0;
             let extOnSum = 0, extOnCnt = 0, extOffSum = 0, extOffCnt = 0;
             let extOnMin = Infinity, extOnMax = 0, extOffMin = Infinity, extOffMax = 0;
-            let tripCount = 0;
-            let inTrip = false;
-            let lastEngineOnIdx = -1;
-
-            for (let i = 0; i < r.records.length; i++) {
-                const rec = r.records[i];
-                // Engine ON = ignition + rpm or movement or speed
-                const engineOn = rec.ignition === 1 || (rec.obdEngineRpm && rec.obdEngineRpm > 0);
-
-                if (engineOn && !inTrip) {
-                    inTrip = true;
-                    tripCount++;
-                    lastEngineOnIdx = i;
-                } else if (engineOn && inTrip) {
-                    lastEngineOnIdx = i;
-                } else if (!engineOn && inTrip && lastEngineOnIdx >= 0) {
-                    // Simplified: count records since last engine on (approximate 60s timeout)
-                    // Since we don't have timestamps in aggregation, use record count (~5s intervals = 12 records for 60s)
-                    if (i - lastEngineOnIdx > 12) {
-                        inTrip = false;
-                    }
-                }
 
+            for (const rec of r.records) {
                 // Engine ON for voltage = alternator charging
                 const isEngineOn = rec.ignition === 1 && (rec.movement === 1 || rec.obdVehicleSpeed > 0 || rec.obdEngineRpm > 0);
 
@@ -1198,10 +1146,13 @@ app.get('/devices/:imei/daily-range', async (req, res) => {
                 }
             }
 
+            const trips = tripDays.get(r._id);
+
             return {
                 date: r._id,
                 recordCount: r.recordCount,
-                tripCount,
+                tripCount: trips ? trips.tripCount : 0,
+                drivingMinutes: trips ? Math.round(trips.drivingMs / 60000) : 0,
                 distanceKm,
                 fuelUsedLiters,
                 fuelPer100km: distanceKm > 0 ? Math.round((fuelUsedLiters / distanceKm) * 100 * 10) / 10 : null,
@@ -1244,10 +1195,17 @@ app.get('/devices/:imei/daily-range', async (req, res) => {
     }
 });
 
+/**
+ * Start HTTP API; a failure to listen (e.g. port taken) is logged, telemetry ingest keeps running without the API
+ */
 function startAPI() {
-    app.listen(API_PORT, '0.0.0.0', () => {
-        console.log(`API server listening on port ${API_PORT}`);
+    const server = app.listen(API_PORT, '0.0.0.0', () => {
+        log.info('server', `API server listening on port ${API_PORT}`);
+    });
+    server.on('error', err => {
+        log.error('server', `API server failed on port ${API_PORT}: ${err.message} - telemetry ingest continues without the API`, { code: err.code });
     });
+    return server;
 }
 
 module.exports = { startAPI, app };
@@ -0,0 +1,93 @@
+/**
+ * Teltonika BLE beacon list decoding (IO 385)
+ *
+ * Byte 0: data part (high nibble = current part, low nibble = total parts)
+ * Then per beacon:
+ *   flags (1)       bit 0 = RSSI, bit 1 = battery voltage, bit 2 = temperature,
+ *                   bit 5 = iBeacon (otherwise Eddystone)
+ *   beacon ID       iBeacon: UUID (16) + major (2) + minor (2)
+ *                   Eddystone: namespace (10) + instance (6)
+ *   RSSI (1)        signed dBm
+ *   battery (2)     mV, if flag bit 1
+ *   temperature (2) signed °C, if flag bit 2
+ */
+
+const FLAG_RSSI = 0x01;
+const FLAG_BATTERY = 0x02;
+const FLAG_TEMPERATURE = 0x04;
+const FLAG_IBEACON = 0x20;
+
+/**
+ * Format 16 bytes as UUID string
+ */
+function formatUUID(bytes) {
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Decode IO 385 payload into beacon list
+ * @param {Buffer} raw - Raw NX bytes
+ * @returns {Object[]} Beacons: { id, type, uuid/major/minor | namespace/instance, rssi, batteryVoltage, temperature, part, totalParts }
+ */
+function decodeBeaconList(raw) {
+    if (!raw || raw.length < 1) return [];
+
+    const part = raw[0] >> 4;
+    const totalParts = raw[0] & 0x0f;
+    const beacons = [];
+    let offset = 1;
+
+    const need = n => {
+        if (offset + n > raw.length) {
+            throw new Error(`Beacon data overflow: tried to read ${n} bytes at offset ${offset}, length ${raw.length}`);
+        }
+    };
+
+    while (offset < raw.length) {
+        need(1);
+        const flags = raw[offset++];
+        const beacon = { part, totalParts };
+
+        if (flags & FLAG_IBEACON) {
+            need(20);
+            beacon.type = 'ibeacon';
+            beacon.uuid = formatUUID(raw.slice(offset, offset + 16));
+            beacon.major = raw.readUInt16BE(offset + 16);
+            beacon.minor = raw.readUInt16BE(offset + 18);
+            beacon.id = `${beacon.uuid}:${beacon.major}:${beacon.minor}`;
+            offset += 20;
+        } else {
+            need(16);
+            beacon.type = 'eddystone';
+            beacon.namespace = raw.slice(offset, offset + 10).toString('hex');
+            beacon.instance = raw.slice(offset + 10, offset + 16).toString('hex');
+            beacon.id = `${beacon.namespace}:${beacon.instance}`;
+            offset += 16;
+        }
+
+        if (flags & FLAG_RSSI) {
+            need(1);
+            beacon.rssi = raw.readInt8(offset);
+            offset += 1;
+        }
+
+        if (flags & FLAG_BATTERY) {
+            need(2);
+            beacon.batteryVoltage = raw.readUInt16BE(offset);
+            offset += 2;
+        }
+
+        if (flags & FLAG_TEMPERATURE) {
+            need(2);
+            beacon.temperature = raw.readInt16BE(offset);
+            offset += 2;
+        }
+
+        beacons.push(beacon);
+    }
+
+    return beacons;
+}
+
+module.exports = { decodeBeaconList };
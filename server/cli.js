@@ -0,0 +1,446 @@
+#!/usr/bin/env node
+/**
+ * telem - maintenance CLI for the telemetry database
+ * Runs the same code as the server and API (trips.js, reprocess.js, pending-devices.js, db.js ...)
+ *
+ * Usage: telem <command> [options]    (or: npm run telem -- <command> [options])
+ *
+ * Commands:
+ *   records check        record count, date range and duplicates per records_<type>
+ *   records dedupe       delete duplicate records (same imei, timestamp, priority, event IO), keeping the first copy
+ *   records reprocess    rebuild records from the stored raw frames (--imei required)
+ *   records migrate      move records_<type> to a time-series collection (--drop-legacy: drop the old one)
+ *   records keys         fill record_keys_<type> for records stored before keys were claimed
+ *   import logs          import the frame logs (--dir, default: the server's LOGS_DIR)
+ *   trips compute        detect trips from the stored records (--imei required)
+ *   trips rebuild        rebuild the trips collection (--from: only trips from then on)
+ *   devices list         registered devices (--pending: unknown IMEIs that tried to log in)
+ *   devices approve      approve pending or registered IMEI (--imei required)
+ *   db indexes           create all indexes (--dry-run lists the existing ones)
+ *
+ * Options:
+ *   --imei 864275079658715[,...]   only these devices (not: records migrate, records keys, db indexes)
+ *   --modem-type FMC003            collections to use (default: the devices' modem types)
+ *   --from / --to <ISO time>       record time; raw receive time for reprocess, log line time
+ *                                  for import, last seen for devices list (not: records migrate,
+ *                                  records keys, devices approve, devices list --pending, db indexes;
+ *                                  trips rebuild takes only --from)
+ *   --dry-run                      report what would change, write nothing
+ *   --json                         JSON result on stdout (progress goes to stderr)
+ */
+
+const { parseArgs } = require('util');
+const db = require('./db');
+const { checkRecords, dedupeRecords, migrateRecords, fillRecordKeys } = require('./records-maintenance');
+const { reprocess } = require('./reprocess');
+const { LOGS_DIR, importLogs } = require('./log-import');
+const { computeTrips, rebuildTrips } = require('./trips');
+const { setDeviceApproval } = require('./models');
+const pendingDevices = require('./pending-devices');
+const log = require('./logger');
+
+const USAGE = `Usage: telem <command> [options]
+
+  records check | records dedupe | records reprocess | records migrate [--drop-legacy] | records keys
+  import logs [--dir <dir>]
+  trips compute | trips rebuild
+  devices list [--pending] | devices approve
+  db indexes
+
+  --imei <imei>[,...]  --modem-type <type>  --from <time>  --to <time>  --dry-run  --json`;
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        imei: { type: 'string', multiple: true },
+        'modem-type': { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        dir: { type: 'string', default: LOGS_DIR },
+        pending: { type: 'boolean', default: false },
+        'drop-legacy': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+const imeis = options.imei ? [...new Set(options.imei.flatMap(i => i.split(',')).map(i => i.trim()).filter(Boolean))] : null;
+const dryRun = options['dry-run'];
+
+// Library log lines go to stderr with the progress - stdout is for the result
+log.setConsole(process.stderr);
+
+function print(text) {
+    if (!options.json) process.stdout.write(text + '\n');
+}
+
+function formatTime(value) {
+    return value instanceof Date ? value.toISOString() : value;
+}
+
+function requireImeis() {
+    if (!imeis) throw new Error('--imei is required');
+    return imeis;
+}
+
+/**
+ * --from / --to as Dates
+ */
+function timeWindow() {
+    const window = {};
+    for (const key of ['from', 'to']) {
+        if (!options[key]) continue;
+        const date = new Date(options[key]);
+        if (isNaN(date)) throw new Error(`Invalid --${key}: ${options[key]}`);
+        window[key] = date;
+    }
+    return window;
+}
+
+/**
+ * Modem types to work on: --modem-type, else those of the selected (or all) registered devices
+ */
+async function modemTypes() {
+    if (options['modem-type']) return [options['modem-type']];
+    const types = await db.getDb().collection('devices')
+        .distinct('modemType', imeis ? { imei: { $in: imeis } } : {});
+    const known = types.filter(Boolean);
+    return known.length > 0 ? known : ['FMC003'];
+}
+
+async function deviceModemType(imei) {
+    if (options['modem-type']) return options['modem-type'];
+    const device = await db.getDb().collection('devices').findOne({ imei });
+    return device && device.modemType ? device.modemType : 'FMC003';
+}
+
+// ============ RECORDS ============
+
+async function recordsCheck() {
+    const filter = { imei: imeis, ...timeWindow() };
+    const results = [];
+    for (const modemType of await modemTypes()) {
+        const result = await checkRecords(modemType, filter);
+        results.push(result);
+
+        print(`${result.collection}: ${result.count} records, ${result.importedFromLogs} imported from logs`);
+        print(`  Date range: ${formatTime(result.oldest)} to ${formatTime(result.newest)}`);
+        print(`  Duplicates: ${result.duplicateRecords} extra records in ${result.duplicateGroups} groups`);
+        for (const dup of result.duplicates) {
+            print(`    ${formatTime(dup.timestamp)} - ${dup.imei}: ${dup.count} copies`);
+        }
+    }
+    return results;
+}
+
+async function recordsDedupe() {
+    const filter = { imei: imeis, ...timeWindow() };
+    const results = [];
+    for (const modemType of await modemTypes()) {
+        const result = await dedupeRecords(modemType, filter, { dryRun });
+        results.push(result);
+
+        print(`${result.collection}: ${result.duplicateRecords} duplicates in ${result.duplicateGroups} groups, ` +
+            (dryRun ? 'nothing removed (dry run)' : `removed ${result.removed}`));
+    }
+    return results;
+}
+
+async function recordsReprocess() {
+    const window = timeWindow();
+    const results = [];
+    for (const imei of requireImeis()) {
+        const result = await reprocess({
+            imei,
+            modemType: options['modem-type'],
+            from: window.from,
+            to: window.to,
+            dryRun,
+            onProgress: p => console.error(`  ${imei}: ${p.frames}/${p.total} frames, ${p.changed} changed, ${p.created} new`)
+        });
+        results.push({ imei, ...result });
+
+        print(`${imei} (${result.modemType})${dryRun ? ' - dry run, nothing written' : ''}\n` +
+            `  Frames: ${result.frames} (${result.decodeErrors} decode errors)\n` +
+            `  Records: ${result.records} - unchanged ${result.unchanged}, changed ${result.changed}, new ${result.created}, duplicates ${result.duplicates}`);
+        for (const [field, count] of Object.entries(result.fieldsChanged)) {
+            print(`    ${field}: ${count}`);
+        }
+    }
+    return results;
+}
+
+/**
+ * Stop the server first: it would write into a new records_<type> while the old one is copied
+ */
+async function recordsMigrate() {
+    const results = [];
+    for (const modemType of await modemTypes()) {
+        const result = await migrateRecords(modemType, {
+            dryRun,
+            dropLegacy: options['drop-legacy'],
+            onProgress: p => console.error(`  ${p.collection}: ${p.copied}/${p.total} copied, ${p.duplicates} duplicates left out`)
+        });
+        results.push(result);
+
+        print(`${result.collection}: ${result.status}` +
+            (result.total ? `, ${result.total} records in ${dryRun && result.status === 'pending' ? result.collection : result.legacy}` : '') +
+            (result.copied || result.duplicates ? `, copied ${result.copied}, duplicates left out ${result.duplicates}` : '') +
+            (result.legacyDropped ? `, ${result.legacy} dropped` : ''));
+    }
+    return results;
+}
+
+async function recordsKeys() {
+    const results = [];
+    for (const modemType of await modemTypes()) {
+        const result = await fillRecordKeys(modemType, {
+            dryRun,
+            onProgress: p => console.error(`  ${p.collection}: ${p.records} records read, ${p.added} keys added`)
+        });
+        results.push(result);
+
+        print(dryRun
+            ? `${result.collection}: ${result.keys} keys for ${result.records} records`
+            : `${result.collection}: ${result.added} keys added from ${result.records} records, ${result.keys} keys`);
+    }
+    return results;
+}
+
+// ============ IMPORT ============
+
+async function importLogsCommand() {
+    const window = timeWindow();
+    const result = await importLogs({
+        dir: options.dir,
+        imeis: imeis ? new Set(imeis) : null,
+        modemType: options['modem-type'],
+        from: window.from,
+        to: window.to,
+        dryRun,
+        onError: message => console.error(`  ${message}`),
+        onFile: ({ file, packets, stats }) => {
+            print(`${file}: ${packets} packets`);
+            for (const [imei, stat] of Object.entries(stats)) {
+                print(`  ${imei}: ${stat.records} records in ${stat.packets} packets` +
+                    (dryRun ? '' : `, imported: ${stat.imported}, skipped (duplicates): ${stat.skipped}`) +
+                    `, errors: ${stat.errors}`);
+            }
+        }
+    });
+
+    print(`\n========== SESSIONS ==========`);
+    for (const session of result.sessions) {
+        print(`${session.imei} ${session.clientId} ${session.loginAt} .. ${session.lastFrameAt}: ` +
+            `${session.rejected ? 'login rejected' : `${session.packets} packets`}${session.vin ? `, VIN ${session.vin}` : ''}`);
+    }
+
+    print(`\n========== SUMMARY ==========`);
+    print(`${result.files} log files${dryRun ? ' (dry run, nothing written)' : ''}`);
+    for (const [imei, stat] of Object.entries(result.stats)) {
+        print(`${imei}: ${stat.records} records, ${dryRun ? 'would import' : `imported ${stat.imported}, skipped (duplicates) ${stat.skipped}`}, errors ${stat.errors}`);
+    }
+
+    const unattributed = Object.entries(result.unattributed);
+    if (unattributed.length > 0) {
+        print(`\nUnattributed frames (no IMEI login for the connection):`);
+        for (const [clientId, entry] of unattributed) {
+            print(`  ${clientId}: ${entry.frames} frames ${entry.first} .. ${entry.last} (from ${entry.file})`);
+        }
+    }
+    return result;
+}
+
+// ============ TRIPS ============
+
+async function tripsCompute() {
+    const window = timeWindow();
+    const results = [];
+    for (const imei of requireImeis()) {
+        const modemType = await deviceModemType(imei);
+        const trips = await computeTrips(imei, modemType, { start: window.from, end: window.to });
+        results.push({ imei, modemType, total: trips.length, trips });
+
+        print(`${imei} (${modemType}): ${trips.length} trips`);
+        for (const trip of trips) {
+            const score = trip.driverBehavior ? `, score ${trip.driverBehavior.score}` : '';
+            print(`  ${formatTime(trip.startTime)} .. ${formatTime(trip.endTime)}  ${trip.duration}, ${trip.distanceKm ?? '?'} km` +
+                `${trip.distanceEstimated ? ' (estimated)' : ''}, max ${trip.maxSpeed} km/h${score}`);
+        }
+    }
+    return results;
+}
+
+/**
+ * Rebuild stored trips of the selected (or all) devices, as the server's trip builder does
+ */
+async function tripsRebuild() {
+    const window = timeWindow();
+    const query = {};
+    if (imeis) query.imei = { $in: imeis };
+    if (options['modem-type']) query.modemType = options['modem-type'];
+
+    const devices = await db.getDb().collection('devices')
+        .find(query, { projection: { imei: 1, modemType: 1 } })
+        .sort({ imei: 1 })
+        .toArray();
+
+    const results = [];
+    for (const device of devices) {
+        const modemType = device.modemType || 'FMC003';
+        if (dryRun) {
+            const stored = await db.getDb().collection('trips').countDocuments({ imei: device.imei });
+            results.push({ imei: device.imei, modemType, stored });
+            print(`${device.imei} (${modemType}): ${stored} trips stored`);
+            continue;
+        }
+
+        const result = await rebuildTrips(device.imei, modemType, window.from || null);
+        results.push({ imei: device.imei, modemType, ...result });
+        print(`${device.imei} (${modemType}): ${result.trips} trips from ${result.from ? formatTime(result.from) : 'first record'}` +
+            ` - ${result.created} new, ${result.updated} updated, ${result.removed} removed`);
+    }
+    return results;
+}
+
+// ============ DEVICES ============
+
+async function devicesList() {
+    const window = timeWindow();
+
+    if (options.pending) {
+        if (window.from || window.to) throw new Error('--from / --to do not apply to --pending');
+        const pending = (await pendingDevices.listPendingDevices({ limit: 0 }))
+            .filter(p => !imeis || imeis.includes(p.imei));
+        for (const p of pending) {
+            print(`${p.imei}  ${p.attempts} attempts, last ${p.lastAttempt.toISOString()} from ${p.remoteAddress} (${p.transport})`);
+        }
+        return pending;
+    }
+
+    const query = {};
+    if (imeis) query.imei = { $in: imeis };
+    if (options['modem-type']) query.modemType = options['modem-type'];
+    if (window.from || window.to) {
+        query.lastSeen = {};
+        if (window.from) query.lastSeen.$gte = window.from;
+        if (window.to) query.lastSeen.$lte = window.to;
+    }
+
+    const devices = await db.getDb().collection('devices')
+        .find(query)
+        .sort({ lastSeen: -1 })
+        .toArray();
+    for (const device of devices) {
+        print(`${device.imei}  ${device.modemType || '-'}  ${device.approved === false ? 'not approved' : 'approved'}` +
+            `  ${device.plateNumber || '-'}  last seen ${device.lastSeen ? device.lastSeen.toISOString() : 'never'}`);
+    }
+    return devices;
+}
+
+/**
+ * Register pending IMEIs, re-approve registered ones
+ * The running server picks the change up through the whitelist change stream / polling
+ */
+async function devicesApprove() {
+    const results = [];
+    for (const imei of requireImeis()) {
+        const pending = await db.getDb().collection('pending_devices').findOne({ imei });
+        const device = await db.getDb().collection('devices').findOne({ imei });
+
+        let action;
+        if (!pending && !device) {
+            action = 'not_found';
+        } else if (dryRun) {
+            action = device ? 'would_approve' : 'would_register';
+        } else {
+            const result = pending ? await pendingDevices.approvePendingDevice(imei, { modemType: options['modem-type'] }) : null;
+            if (!result || !result.created) await setDeviceApproval(imei, true);
+            action = result && result.created ? 'registered' : 'approved';
+        }
+
+        results.push({ imei, action });
+        print(`${imei}: ${action.replace('_', ' ')}`);
+    }
+    return results;
+}
+
+// ============ DB ============
+
+async function dbIndexes() {
+    const types = (await modemTypes()).map(t => t.toLowerCase());
+
+    if (!dryRun) {
+        await db.createIndexes();
+        for (const type of types) {
+            await db.ensureDeviceIndexes(type);
+        }
+    }
+
+    const results = {};
+    const collections = await db.getDb().listCollections({}, { nameOnly: true }).toArray();
+    for (const { name } of collections.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (name.startsWith('system.')) continue;
+        const indexes = await db.getDb().collection(name).indexes();
+        results[name] = indexes.map(index => ({ name: index.name, key: index.key, unique: !!index.unique }));
+
+        print(`${name}:`);
+        for (const index of results[name]) {
+            print(`  ${index.name}${index.unique ? ' (unique)' : ''}`);
+        }
+    }
+    return results;
+}
+
+const FILTERS = ['imei', 'from', 'to'];
+
+// Command -> handler and the FILTERS it applies (the others are rejected, not silently ignored)
+const COMMANDS = {
+    'records check': { run: recordsCheck, filters: ['imei', 'from', 'to'] },
+    'records dedupe': { run: recordsDedupe, filters: ['imei', 'from', 'to'] },
+    'records reprocess': { run: recordsReprocess, filters: ['imei', 'from', 'to'] },
+    'records migrate': { run: recordsMigrate, filters: [] },
+    'records keys': { run: recordsKeys, filters: [] },
+    'import logs': { run: importLogsCommand, filters: ['imei', 'from', 'to'] },
+    'trips compute': { run: tripsCompute, filters: ['imei', 'from', 'to'] },
+    'trips rebuild': { run: tripsRebuild, filters: ['imei', 'from'] },
+    'devices list': { run: devicesList, filters: ['imei', 'from', 'to'] },
+    'devices approve': { run: devicesApprove, filters: ['imei'] },
+    'db indexes': { run: dbIndexes, filters: [] }
+};
+
+async function main() {
+    const name = positionals.slice(0, 2).join(' ');
+    const command = COMMANDS[name];
+    if (options.help || !command) {
+        console.error(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+
+    const unsupported = FILTERS.filter(key => options[key] !== undefined && !command.filters.includes(key));
+    if (unsupported.length > 0) {
+        console.error(`${name} does not take ${unsupported.map(key => `--${key}`).join(', ')}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    // A dry-run log import only parses and decodes
+    const needsDb = !(command.run === importLogsCommand && dryRun);
+    if (needsDb) {
+        await db.connect({ createIndexes: false });
+    }
+
+    try {
+        const result = await command.run();
+        if (options.json) {
+            process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
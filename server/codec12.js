@@ -0,0 +1,59 @@
+/**
+ * Teltonika GPRS command codecs: Codec 12 encoder, Codec 12 / 13 / 14 decoder
+ * Server sends type 0x05 commands, device answers with type 0x06 responses
+ */
+
+const { decodeCodec8, crc16, COMMAND_CODECS } = require('./codec8');
+
+const CODEC12_ID = 0x0c;
+const TYPE_COMMAND = 0x05;
+const TYPE_RESPONSE = 0x06;
+const TYPE_NACK = 0x11;  // Codec 14: IMEI in command does not match device
+
+/**
+ * Build Codec 12 command frame
+ * @param {string} command - Command text, e.g. 'getinfo' or 'setdigout 1'
+ * @param {number} type - TYPE_COMMAND (server) or TYPE_RESPONSE (device, e.g. emulator.js)
+ * @returns {Buffer} Frame ready to write to socket
+ */
+function encodeCodec12(command, type = TYPE_COMMAND) {
+    const text = Buffer.from(command, 'ascii');
+
+    // Codec ID + Quantity 1 + Type + Command size + Command + Quantity 2
+    const dataField = Buffer.alloc(1 + 1 + 1 + 4 + text.length + 1);
+    let offset = 0;
+    dataField.writeUInt8(CODEC12_ID, offset++);
+    dataField.writeUInt8(1, offset++);
+    dataField.writeUInt8(type, offset++);
+    dataField.writeUInt32BE(text.length, offset);
+    offset += 4;
+    text.copy(dataField, offset);
+    offset += text.length;
+    dataField.writeUInt8(1, offset);
+
+    const frame = Buffer.alloc(8 + dataField.length + 4);
+    frame.writeUInt32BE(0, 0);
+    frame.writeUInt32BE(dataField.length, 4);
+    dataField.copy(frame, 8);
+    frame.writeUInt32BE(crc16(dataField), 8 + dataField.length);
+
+    return frame;
+}
+
+/**
+ * Decode Codec 12 / 13 / 14 frame (normally a device response)
+ * @param {Buffer} buffer - Complete frame including preamble and CRC
+ * @returns {Object} Decoded frame with messages: [{ type, text, timestamp?, imei? }] or error object
+ */
+function decodeCodec12(buffer) {
+    const decoded = decodeCodec8(buffer);
+    if (decoded.error) return decoded;
+
+    if (!COMMAND_CODECS.includes(decoded.codecId)) {
+        return { error: `Not a command frame: 0x${decoded.codecId.toString(16)}` };
+    }
+
+    return decoded;
+}
+
+module.exports = { encodeCodec12, decodeCodec12, CODEC12_ID, TYPE_COMMAND, TYPE_RESPONSE, TYPE_NACK };
@@ -1,15 +1,78 @@
 /**
- * Teltonika Codec 8 / Codec 8 Extended decoder
+ * Teltonika Codec 8 / Codec 8 Extended / Codec 16 decoder
+ * Also decodes Codec 12 / 13 / 14 command frames and encodes Codec 8 / 8E AVL frames
  * Strict implementation according to Teltonika protocol specification
  */
 
+const { getIODefinition, interpretValue, DEFAULT_MODEL } = require('./io-dictionary');
+
+const CODEC_NAMES = {
+    0x08: 'Codec 8',
+    0x8e: 'Codec 8 Extended',
+    0x10: 'Codec 16',
+    0x0c: 'Codec 12',
+    0x0d: 'Codec 13',
+    0x0e: 'Codec 14'
+};
+
+// Codecs carrying AVL records vs. codecs carrying command messages
+const AVL_CODECS = [0x08, 0x8e, 0x10];
+const COMMAND_CODECS = [0x0c, 0x0d, 0x0e];
+
+// Codec 16 generation type
+const GENERATION_TYPES = {
+    0: 'On Exit',
+    1: 'On Entrance',
+    2: 'On Both',
+    3: 'Reserved',
+    4: 'Hysteresis',
+    5: 'On Change',
+    6: 'Eventual',
+    7: 'Periodical'
+};
+
+/**
+ * Thrown when a frame fails CRC, record count or length checks
+ * code: 'bad_preamble' | 'length_mismatch' | 'crc_mismatch' | 'count_mismatch'
+ */
+class IntegrityError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'IntegrityError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * CRC-16/IBM (poly 0xA001 reflected, init 0x0000) as used by Teltonika
+ * @param {Buffer} buffer - Data field (codec ID up to Number of Data 2)
+ * @returns {number} 16-bit CRC
+ */
+function crc16(buffer) {
+    let crc = 0x0000;
+    for (let i = 0; i < buffer.length; i++) {
+        crc ^= buffer[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 1) ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+        }
+    }
+    return crc;
+}
+
 class Codec8Decoder {
-    constructor(buffer) {
+    /**
+     * @param {Buffer} buffer - Raw frame
+     * @param {Object} options - { model } selects the IO dictionary (default FMC003)
+     */
+    constructor(buffer, options = {}) {
         if (!Buffer.isBuffer(buffer)) {
             throw new Error('Input must be a Buffer');
         }
         this.data = buffer;
+        this.model = options.model || DEFAULT_MODEL;
         this.offset = 0;
+        this.codecId = null;
         this.isExtended = false;
     }
 
@@ -71,32 +134,124 @@ class Codec8Decoder {
     decode() {
         const result = {
             preamble: this.readUInt32(),
-            dataFieldLength: this.readUInt32(),
-            codecId: this.readUInt8(),
-            numberOfData1: this.readUInt8(),
-            avlRecords: []
+            dataFieldLength: this.readUInt32()
         };
 
+        this.verifyFrame(result);
+        this.decodeDataField(result);
+
+        const consumed = this.offset - 8;
+        if (consumed !== result.dataFieldLength) {
+            throw new IntegrityError('length_mismatch',
+                `Data field length mismatch: declared ${result.dataFieldLength}, parsed ${consumed} bytes`,
+                { declared: result.dataFieldLength, parsed: consumed });
+        }
+
+        result.crc = this.readUInt32();
+
+        return result;
+    }
+
+    /**
+     * UDP channel packet (no preamble / CRC)
+     * Length (2) | Packet ID (2) | Not usable byte (1) | AVL packet ID (1)
+     * | IMEI length (2) | IMEI | Codec ID ... Number of Data 2
+     */
+    decodeUDP() {
+        const result = {
+            length: this.readUInt16(),
+            packetId: this.readUInt16(),
+            packetType: this.readUInt8(),
+            avlPacketId: this.readUInt8()
+        };
+
+        if (result.length !== this.data.length - 2) {
+            throw new IntegrityError('length_mismatch',
+                `UDP length mismatch: declared ${result.length + 2} bytes, received ${this.data.length}`,
+                { declared: result.length + 2, received: this.data.length });
+        }
+
+        const imeiLength = this.readUInt16();
+        result.imei = this.readBytes(imeiLength).toString('ascii');
+
+        this.decodeDataField(result);
+
+        if (this.offset !== this.data.length) {
+            throw new IntegrityError('length_mismatch',
+                `UDP length mismatch: parsed ${this.offset} of ${this.data.length} bytes`,
+                { declared: this.data.length, parsed: this.offset });
+        }
+
+        return result;
+    }
+
+    /**
+     * Data field: Codec ID | Number of Data 1 | records or messages | Number of Data 2
+     * Fills result in place
+     */
+    decodeDataField(result) {
+        result.codecId = this.readUInt8();
+        result.numberOfData1 = this.readUInt8();
+        result.avlRecords = [];
+
         // Determine codec type
-        if (result.codecId === 0x08) {
-            this.isExtended = false;
-        } else if (result.codecId === 0x8e) {
-            this.isExtended = true;
-        } else {
+        this.codecId = result.codecId;
+        if (!AVL_CODECS.includes(result.codecId) && !COMMAND_CODECS.includes(result.codecId)) {
             throw new Error(`Unsupported codec: 0x${result.codecId.toString(16)}`);
         }
+        this.isExtended = result.codecId === 0x8e;
 
-        for (let i = 0; i < result.numberOfData1; i++) {
-            const record = this.decodeAVLRecord();
-            result.avlRecords.push(record);
+        if (COMMAND_CODECS.includes(result.codecId)) {
+            // Command frames: numberOfData is the message quantity
+            result.messages = [];
+            for (let i = 0; i < result.numberOfData1; i++) {
+                result.messages.push(this.decodeMessage());
+            }
+        } else {
+            for (let i = 0; i < result.numberOfData1; i++) {
+                const record = this.decodeAVLRecord();
+                result.avlRecords.push(record);
+            }
         }
 
         result.numberOfData2 = this.readUInt8();
-        result.crc = this.readUInt32();
+
+        if (result.numberOfData2 !== result.numberOfData1) {
+            throw new IntegrityError('count_mismatch',
+                `Record count mismatch: numberOfData1=${result.numberOfData1}, numberOfData2=${result.numberOfData2}`,
+                { numberOfData1: result.numberOfData1, numberOfData2: result.numberOfData2 });
+        }
 
         return result;
     }
 
+    /**
+     * Check preamble, total frame length and CRC before parsing records
+     */
+    verifyFrame(header) {
+        if (header.preamble !== 0) {
+            throw new IntegrityError('bad_preamble',
+                `Invalid preamble: 0x${header.preamble.toString(16).padStart(8, '0')}`,
+                { preamble: header.preamble });
+        }
+
+        const expectedLength = 8 + header.dataFieldLength + 4;
+        if (this.data.length !== expectedLength) {
+            throw new IntegrityError('length_mismatch',
+                `Frame length mismatch: declared ${expectedLength} bytes, received ${this.data.length}`,
+                { declared: expectedLength, received: this.data.length });
+        }
+
+        const dataField = this.data.slice(8, 8 + header.dataFieldLength);
+        const expected = this.data.readUInt32BE(8 + header.dataFieldLength);
+        const actual = crc16(dataField);
+        if (expected !== actual) {
+            throw new IntegrityError('crc_mismatch',
+                `CRC mismatch: frame 0x${expected.toString(16).padStart(4, '0')}, computed 0x${actual.toString(16).padStart(4, '0')}`,
+                { expected, actual });
+        }
+    }
+
     decodeAVLRecord() {
         const timestamp = this.readUInt64();
         const priority = this.readUInt8();
@@ -111,8 +266,13 @@ class Codec8Decoder {
             speed: this.readUInt16()
         };
 
-        // IO Element - completely different for Codec 8 vs 8E
-        const io = this.isExtended ? this.decodeIOElementExtended() : this.decodeIOElementStandard();
+        // IO Element - completely different for Codec 8 vs 8E vs 16
+        let io;
+        if (this.codecId === 0x10) {
+            io = this.decodeIOElementCodec16();
+        } else {
+            io = this.isExtended ? this.decodeIOElementExtended() : this.decodeIOElementStandard();
+        }
 
         return {
             timestamp: new Date(Number(timestamp)).toISOString(),
@@ -143,13 +303,7 @@ class Codec8Decoder {
         for (let i = 0; i < n1; i++) {
             const id = this.readUInt8();
             const raw = this.readBytes(1);
-            io.elements.push({
-                id,
-                size: 1,
-                value: raw.readUInt8(0),
-                raw,
-                name: this.getIOName(id)
-            });
+            io.elements.push(this.buildElement(id, raw));
         }
 
         // 2-byte values
@@ -157,13 +311,7 @@ class Codec8Decoder {
         for (let i = 0; i < n2; i++) {
             const id = this.readUInt8();
             const raw = this.readBytes(2);
-            io.elements.push({
-                id,
-                size: 2,
-                value: raw.readUInt16BE(0),
-                raw,
-                name: this.getIOName(id)
-            });
+            io.elements.push(this.buildElement(id, raw));
         }
 
         // 4-byte values
@@ -171,13 +319,7 @@ class Codec8Decoder {
         for (let i = 0; i < n4; i++) {
             const id = this.readUInt8();
             const raw = this.readBytes(4);
-            io.elements.push({
-                id,
-                size: 4,
-                value: raw.readUInt32BE(0),
-                raw,
-                name: this.getIOName(id)
-            });
+            io.elements.push(this.buildElement(id, raw));
         }
 
         // 8-byte values
@@ -185,15 +327,7 @@ class Codec8Decoder {
         for (let i = 0; i < n8; i++) {
             const id = this.readUInt8();
             const raw = this.readBytes(8);
-            const high = raw.readUInt32BE(0);
-            const low = raw.readUInt32BE(4);
-            io.elements.push({
-                id,
-                size: 8,
-                value: (BigInt(high) * BigInt(0x100000000) + BigInt(low)).toString(),
-                raw,
-                name: this.getIOName(id)
-            });
+            io.elements.push(this.buildElement(id, raw));
         }
 
         return io;
@@ -220,13 +354,7 @@ class Codec8Decoder {
         for (let i = 0; i < n1; i++) {
             const id = this.readUInt16();
             const raw = this.readBytes(1);
-            io.elements.push({
-                id,
-                size: 1,
-                value: raw.readUInt8(0),
-                raw,
-                name: this.getIOName(id)
-            });
+            io.elements.push(this.buildElement(id, raw));
         }
 
         // N2: 2-byte values
@@ -234,13 +362,7 @@ class Codec8Decoder {
         for (let i = 0; i < n2; i++) {
             const id = this.readUInt16();
             const raw = this.readBytes(2);
-            io.elements.push({
-                id,
-                size: 2,
-                value: raw.readUInt16BE(0),
-                raw,
-                name: this.getIOName(id)
-            });
+            io.elements.push(this.buildElement(id, raw));
         }
 
         // N4: 4-byte values
@@ -248,13 +370,7 @@ class Codec8Decoder {
         for (let i = 0; i < n4; i++) {
             const id = this.readUInt16();
             const raw = this.readBytes(4);
-            io.elements.push({
-                id,
-                size: 4,
-                value: raw.readUInt32BE(0),
-                raw,
-                name: this.getIOName(id)
-            });
+            io.elements.push(this.buildElement(id, raw));
         }
 
         // N8: 8-byte values
@@ -262,15 +378,7 @@ class Codec8Decoder {
         for (let i = 0; i < n8; i++) {
             const id = this.readUInt16();
             const raw = this.readBytes(8);
-            const high = raw.readUInt32BE(0);
-            const low = raw.readUInt32BE(4);
-            io.elements.push({
-                id,
-                size: 8,
-                value: (BigInt(high) * BigInt(0x100000000) + BigInt(low)).toString(),
-                raw,
-                name: this.getIOName(id)
-            });
+            io.elements.push(this.buildElement(id, raw));
         }
 
         // NX: Variable-length values (Codec 8E only)
@@ -280,195 +388,306 @@ class Codec8Decoder {
             const length = this.readUInt16();
             const raw = this.readBytes(length);
 
-            let value;
-            // ASCII decode for known string fields
-            if (id === 256 || id === 281 || id === 385) {
-                value = raw.toString('ascii').replace(/\0/g, '');
-            } else {
-                value = raw.toString('hex');
-            }
+            // Dictionary type decides between ASCII text and hex
+            io.elements.push(this.buildElement(id, raw, true));
+        }
+
+        return io;
+    }
+
+    /**
+     * Codec 16 IO Element
+     * - All IDs are 2 bytes
+     * - All counts are 1 byte
+     * - Has Generation Type after Event IO ID
+     */
+    decodeIOElementCodec16() {
+        const eventIoId = this.readUInt16();
+        const generationType = this.readUInt8();
+        const totalCount = this.readUInt8();
+
+        const io = {
+            eventIoId,
+            generationType,
+            generationTypeName: GENERATION_TYPES[generationType] || `Unknown_${generationType}`,
+            totalCount,
+            elements: []
+        };
 
-            io.elements.push({
-                id,
-                size: length,
-                value,
-                raw,
-                name: this.getIOName(id)
-            });
+        for (const size of [1, 2, 4, 8]) {
+            const count = this.readUInt8();
+            for (let i = 0; i < count; i++) {
+                const id = this.readUInt16();
+                const raw = this.readBytes(size);
+                io.elements.push(this.buildElement(id, raw));
+            }
         }
 
         return io;
     }
 
-    getIOName(id) {
-        // FMC003 OBD Tracker - Complete IO Elements List
-        const ioNames = {
-            // Permanent I/O Elements
-            1: 'Digital Input 1',
-            2: 'Digital Input 2',
-            3: 'Digital Input 3',
-            4: 'Digital Input 4',
-            5: 'Digital Output 1',
-            6: 'Digital Output 2',
-            9: 'Analog Input 1',
-            10: 'Analog Input 2',
-            11: 'ICCID1',
-            12: 'Fuel Used GPS',
-            13: 'Fuel Rate GPS',
-            14: 'ICCID2',
-            15: 'Eco Score',
-            16: 'Total Odometer',
-            17: 'Accelerometer X',
-            18: 'Accelerometer Y',
-            19: 'Accelerometer Z',
-            21: 'GSM Signal',
-            24: 'Speed',
-            25: 'External Voltage',
-            66: 'External Voltage',
-            67: 'Battery Voltage',
-            68: 'Battery Current',
-            69: 'GNSS Status',
-            72: 'Dallas Temperature 1',
-            73: 'Dallas Temperature 2',
-            74: 'Dallas Temperature 3',
-            75: 'Dallas Temperature 4',
-            76: 'Dallas ID 1',
-            77: 'Dallas ID 2',
-            78: 'Dallas ID 3',
-            79: 'Dallas ID 4',
-            80: 'Data Mode',
-            113: 'Battery Level',
-            175: 'Auto Geofence',
-            180: 'GNSS Sleep Mode',
-            181: 'GNSS PDOP',
-            182: 'GNSS HDOP',
-            199: 'Trip Odometer',
-            200: 'Sleep Mode',
-            205: 'GSM Cell ID',
-            206: 'GSM Area Code',
-            236: 'Alarm',
-            237: 'Network Type',
-            238: 'Operator Code',
-            239: 'Ignition',
-            240: 'Movement',
-            241: 'Active GSM Operator',
-            243: 'Green Driving Event Duration',
-            246: 'Towing Detection',
-            247: 'Crash Detection',
-            249: 'Jamming Detection',
-            250: 'Trip Event',
-            251: 'Idling Event',
-            252: 'Unplug Event',
-            253: 'Green Driving Value',
-            254: 'Overspeeding Event',
-            255: 'Geofence Zone 01',
-            256: 'VIN',
-            257: 'Crash Trace Data',
-            263: 'BT Status',
-            264: 'Barcode ID',
-            269: 'Instant Movement',
-            303: 'Instant Movement',
-            310: 'Movement Event',
-            311: 'Deep Sleep',
-            385: 'Beacon',
-
-            // OBD II / CAN Parameters (FMC003 specific)
-            30: 'Number of DTC',
-            31: 'Engine Load',
-            32: 'Coolant Temperature',
-            33: 'Short Fuel Trim',
-            34: 'Fuel Pressure',
-            35: 'Intake MAP',
-            36: 'Engine RPM',
-            37: 'Vehicle Speed (OBD)',
-            38: 'Timing Advance',
-            39: 'Intake Air Temperature',
-            40: 'MAF',
-            41: 'Throttle Position',
-            42: 'Runtime Since Engine Start',
-            43: 'Distance With MIL On',
-            44: 'Relative Fuel Rail Pressure',
-            45: 'Direct Fuel Rail Pressure',
-            46: 'Commanded EGR',
-            47: 'EGR Error',
-            48: 'Fuel Level',
-            49: 'Distance Since Codes Cleared',
-            50: 'Barometric Pressure',
-            51: 'Control Module Voltage',
-            52: 'Absolute Load Value',
-            53: 'Ambient Air Temperature',
-            54: 'Time With MIL On',
-            55: 'Time Since Codes Cleared',
-            56: 'Absolute Fuel Rail Pressure',
-            57: 'Hybrid Battery Pack Life',
-            58: 'Engine Oil Temperature',
-            59: 'Fuel Injection Timing',
-            60: 'Fuel Rate (OBD)',
-
-            // OBD Extended
-            281: 'Long Fuel Trim',
-            282: 'Engine Oil Pressure',
-            283: 'Engine Oil Level',
-            284: 'Engine Oil Lifetime',
-            285: 'Engine Oil Service Distance',
-            286: 'Accelerator Pedal Position',
-            287: 'Brake Pedal Position',
-            288: 'Total Driving Time',
-            289: 'Total Idling Time',
-            290: 'Total Driven Distance',
-
-            // Fault Codes
-            387: 'DTC Faults',
-            388: 'Pending DTC Faults',
-
-            // OBD Totals
-            389: 'OBD Total Mileage',
-            390: 'OBD Fuel Level Input',
-
-            // CAN Data
-            391: 'Fuel Consumed',
-            392: 'Engine Total Fuel Used',
-            393: 'Engine Total Hours',
-            394: 'Vehicle Distance',
-            395: 'Brake Pedal Switch',
-            396: 'Cruise Control Active',
-            397: 'PTO State',
-            398: 'Accelerator Pedal Position 2',
-
-            // Driver Behavior
-            449: 'Harsh Acceleration',
-            450: 'Harsh Braking',
-            451: 'Harsh Cornering',
-
-            // Extended Geofences
-            155: 'Geofence Zone 02',
-            156: 'Geofence Zone 03',
-            157: 'Geofence Zone 04',
-            158: 'Geofence Zone 05',
-            768: 'Geofence Zone 06',
-            769: 'Geofence Zone 07',
-            770: 'Geofence Zone 08',
-            771: 'Geofence Zone 09',
-            772: 'Geofence Zone 10',
+    /**
+     * Codec 12 / 13 / 14 message
+     * - Codec 12: type, size, text
+     * - Codec 13: type, size, 4-byte timestamp (seconds), text
+     * - Codec 14: type, size, 8-byte IMEI (BCD, zero padded), text
+     *   (size includes the timestamp / IMEI bytes)
+     */
+    decodeMessage() {
+        const type = this.readUInt8();
+        const size = this.readUInt32();
+        const message = { type };
+        let textSize = size;
+
+        if (this.codecId === 0x0d) {
+            const seconds = this.readUInt32();
+            message.timestamp = new Date(seconds * 1000).toISOString();
+            message.timestampRaw = seconds.toString();
+            textSize -= 4;
+        } else if (this.codecId === 0x0e) {
+            message.imei = this.readBytes(8).toString('hex').replace(/^0+/, '');
+            textSize -= 8;
+        }
+
+        if (textSize < 0) {
+            throw new Error(`Invalid message size ${size} for codec 0x${this.codecId.toString(16)}`);
+        }
+
+        message.text = this.readBytes(textSize).toString('ascii');
+        return message;
+    }
+
+    /**
+     * Build IO element with raw and engineering value from the model dictionary
+     */
+    buildElement(id, raw, variable = false) {
+        const def = getIODefinition(this.model, id);
+        const { value, engValue, unit, error } = interpretValue(def, raw, variable);
+        const element = {
+            id,
+            size: raw.length,
+            value,
+            engValue,
+            unit,
+            raw,
+            name: def ? def.name : `IO_${id}`,
+            field: def && def.field ? def.field : null
         };
-        return ioNames[id] || `IO_${id}`;
+        if (variable) element.variable = true;
+        if (error) element.error = error;
+        return element;
+    }
+
+    getIOName(id) {
+        const def = getIODefinition(this.model, id);
+        return def ? def.name : `IO_${id}`;
     }
 }
 
 /**
- * Decode Codec 8 / 8E data from raw Buffer
+ * Decode Codec 8 / 8E / 16 data from raw Buffer
+ * Codec 12 / 13 / 14 frames decode to the same shape with avlRecords: []
+ * and messages: [{ type, text, timestamp?, imei? }]
  * @param {Buffer} buffer - Raw buffer from device
+ * @param {Object} options - { model } IO dictionary to use
  * @returns {Object} Decoded data or error object
+ *   (integrity failures also carry integrity: { code, ...details })
  */
-function decodeCodec8(buffer) {
+function decodeCodec8(buffer, options = {}) {
     try {
-        const decoder = new Codec8Decoder(buffer);
+        const decoder = new Codec8Decoder(buffer, options);
         return decoder.decode();
     } catch (error) {
+        if (error instanceof IntegrityError) {
+            return { error: error.message, integrity: { code: error.code, ...error.details } };
+        }
         return { error: error.message };
     }
 }
 
+/**
+ * Decode UDP channel datagram (Codec 8 / 8E / 16 payload)
+ * @param {Buffer} buffer - Raw datagram from device
+ * @param {Object} options - { model } IO dictionary to use
+ * @returns {Object} { length, packetId, packetType, avlPacketId, imei, codecId, avlRecords, ... } or error object
+ */
+function decodeUDP(buffer, options = {}) {
+    try {
+        const decoder = new Codec8Decoder(buffer, options);
+        return decoder.decodeUDP();
+    } catch (error) {
+        if (error instanceof IntegrityError) {
+            return { error: error.message, integrity: { code: error.code, ...error.details } };
+        }
+        return { error: error.message };
+    }
+}
+
+/**
+ * Build UDP channel ACK
+ * Length (2) = 5 | Packet ID (2) | Not usable byte (1) | AVL packet ID (1) | Accepted records (1)
+ */
+function encodeUDPAck(packetId, avlPacketId, acceptedRecords) {
+    const ack = Buffer.alloc(7);
+    ack.writeUInt16BE(5, 0);
+    ack.writeUInt16BE(packetId, 2);
+    ack.writeUInt8(0x01, 4);
+    ack.writeUInt8(avlPacketId, 5);
+    ack.writeUInt8(acceptedRecords, 6);
+    return ack;
+}
+
+// Fixed IO value sizes in Codec 8 / 8E element groups
+const IO_SIZES = [1, 2, 4, 8];
+
+/**
+ * Smallest IO value size (bytes) that holds value
+ */
+function ioValueSize(value) {
+    const big = BigInt(value);
+    for (const size of [1, 2, 4]) {
+        const bits = BigInt(size * 8);
+        if (big >= -(1n << (bits - 1n)) && big < (1n << bits)) return size;
+    }
+    return 8;
+}
+
+/**
+ * IO element to bytes: raw Buffer as is, otherwise value (number, BigInt or decimal string)
+ * in element.size bytes (two's complement for negative values)
+ */
+function encodeIOElement(element, extended) {
+    let raw;
+    if (Buffer.isBuffer(element.raw)) {
+        raw = element.raw;
+    } else if (element.value !== undefined && element.value !== null) {
+        const value = BigInt(element.value);
+        const size = element.size || ioValueSize(value);
+        const bits = BigInt(size * 8);
+        if (value >= (1n << bits) || value < -(1n << (bits - 1n))) {
+            throw new Error(`IO ${element.id}: value ${element.value} does not fit in ${size} bytes`);
+        }
+        raw = Buffer.from(BigInt.asUintN(size * 8, value).toString(16).padStart(size * 2, '0'), 'hex');
+    } else {
+        throw new Error(`IO ${element.id}: value or raw required`);
+    }
+
+    const variable = element.variable === true || !IO_SIZES.includes(raw.length);
+    if (!extended) {
+        if (variable) throw new Error(`IO ${element.id}: ${raw.length}-byte value requires Codec 8 Extended`);
+        if (element.id > 0xff) throw new Error(`IO ${element.id}: ID above 255 requires Codec 8 Extended`);
+    }
+
+    return { id: element.id, raw, variable };
+}
+
+/**
+ * One AVL record (timestamp, priority, GPS element, IO element) in Codec 8 or 8E layout
+ */
+function encodeAVLRecord(record, extended) {
+    const timestamp = record.timestamp !== undefined
+        ? BigInt(new Date(record.timestamp).getTime())
+        : BigInt(record.timestampRaw);
+    const gps = record.gps || {};
+
+    const header = Buffer.alloc(8 + 1 + 15);
+    header.writeBigUInt64BE(timestamp, 0);
+    header.writeUInt8(record.priority || 0, 8);
+    header.writeInt32BE(Math.round((gps.longitude || 0) * 10000000), 9);
+    header.writeInt32BE(Math.round((gps.latitude || 0) * 10000000), 13);
+    header.writeUInt16BE(Math.max(0, Math.round(gps.altitude || 0)), 17);
+    header.writeUInt16BE(Math.round(gps.angle || 0) % 360, 19);
+    header.writeUInt8(gps.satellites || 0, 21);
+    header.writeUInt16BE(Math.round(gps.speed || 0), 22);
+
+    const io = record.io || {};
+    const elements = (io.elements || []).map(e => encodeIOElement(e, extended));
+
+    // Codec 8: 1-byte IDs and counts, Codec 8E: 2-byte IDs, counts and NX group
+    const int = value => {
+        const buf = Buffer.alloc(extended ? 2 : 1);
+        if (extended) buf.writeUInt16BE(value); else buf.writeUInt8(value);
+        return buf;
+    };
+
+    const parts = [header, int(io.eventIoId || 0), int(elements.length)];
+    for (const size of IO_SIZES) {
+        const group = elements.filter(e => !e.variable && e.raw.length === size);
+        parts.push(int(group.length));
+        for (const e of group) parts.push(int(e.id), e.raw);
+    }
+    if (extended) {
+        const group = elements.filter(e => e.variable);
+        parts.push(int(group.length));
+        for (const e of group) {
+            const length = Buffer.alloc(2);
+            length.writeUInt16BE(e.raw.length);
+            parts.push(int(e.id), length, e.raw);
+        }
+    }
+
+    return Buffer.concat(parts);
+}
+
+/**
+ * Build AVL frame: preamble | data field length | codec ID | records | count | CRC
+ */
+function encodeAVL(codecId, records) {
+    if (records.length < 1 || records.length > 0xff) {
+        throw new Error(`Frame holds 1-255 records, got ${records.length}`);
+    }
+    const extended = codecId === 0x8e;
+
+    const dataField = Buffer.concat([
+        Buffer.from([codecId, records.length]),
+        ...records.map(r => encodeAVLRecord(r, extended)),
+        Buffer.from([records.length])
+    ]);
+
+    const frame = Buffer.alloc(8 + dataField.length + 4);
+    frame.writeUInt32BE(0, 0);
+    frame.writeUInt32BE(dataField.length, 4);
+    dataField.copy(frame, 8);
+    frame.writeUInt32BE(crc16(dataField), 8 + dataField.length);
+    return frame;
+}
+
+/**
+ * Build Codec 8 frame from records in the decoder's shape
+ * record: { timestamp, priority, gps: { longitude, latitude, altitude, angle, satellites, speed },
+ *           io: { eventIoId, elements: [{ id, value, size? } | { id, raw }] } }
+ * @returns {Buffer} Frame as sent by the device
+ */
+function encodeCodec8(records) {
+    return encodeAVL(0x08, records);
+}
+
+/**
+ * Build Codec 8 Extended frame (2-byte IO IDs, variable-length elements)
+ * Elements with raw of other than 1/2/4/8 bytes or variable: true go to the NX group
+ */
+function encodeCodec8E(records) {
+    return encodeAVL(0x8e, records);
+}
+
+/**
+ * Build IMEI login frame (2-byte length + ASCII IMEI)
+ */
+function encodeIMEI(imei) {
+    const text = Buffer.from(imei, 'ascii');
+    const frame = Buffer.alloc(2 + text.length);
+    frame.writeUInt16BE(text.length, 0);
+    text.copy(frame, 2);
+    return frame;
+}
+
+/**
+ * Human readable codec name
+ */
+function getCodecName(codecId) {
+    return CODEC_NAMES[codecId] || `Codec 0x${codecId.toString(16)}`;
+}
+
 /**
  * Parse IMEI from raw login buffer
  * @param {Buffer} buffer - Raw buffer from device
@@ -484,4 +703,18 @@ function parseIMEI(buffer) {
     return buffer.slice(2, 2 + len).toString('ascii');
 }
 
-module.exports = { Codec8Decoder, decodeCodec8, parseIMEI };
+module.exports = {
+    Codec8Decoder,
+    IntegrityError,
+    decodeCodec8,
+    decodeUDP,
+    encodeUDPAck,
+    encodeCodec8,
+    encodeCodec8E,
+    encodeIMEI,
+    parseIMEI,
+    crc16,
+    getCodecName,
+    AVL_CODECS,
+    COMMAND_CODECS
+};
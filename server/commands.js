@@ -0,0 +1,194 @@
+/**
+ * Per-IMEI GPRS command queue (Codec 12)
+ * Commands are stored in the `commands` collection and sent one at a time
+ * while the device is connected. Status: queued -> sent -> answered | timeout
+ */
+
+const { getDb } = require('./db');
+const connections = require('./connections');
+const { encodeCodec12 } = require('./codec12');
+const log = require('./logger');
+
+const COMMAND_TIMEOUT = parseInt(process.env.COMMAND_TIMEOUT_MS) || 60000;
+const MAX_COMMAND_LENGTH = 512;
+
+// IMEI -> { commandId, timer } for the command waiting for a reply
+const inFlight = new Map();
+
+/**
+ * Validate command text (printable ASCII only)
+ * Returns error message or null
+ */
+function validateCommand(command) {
+    if (typeof command !== 'string' || command.trim().length === 0) {
+        return 'Missing command';
+    }
+    if (command.length > MAX_COMMAND_LENGTH) {
+        return `Command too long (max ${MAX_COMMAND_LENGTH} characters)`;
+    }
+    if (!/^[\x20-\x7e]+$/.test(command)) {
+        return 'Command must be printable ASCII';
+    }
+    return null;
+}
+
+/**
+ * Queue command for device and try to send it right away
+ */
+async function queueCommand(imei, command) {
+    const db = getDb();
+    if (!db) return null;
+
+    const doc = {
+        imei,
+        command: command.trim(),
+        status: 'queued',
+        response: null,
+        createdAt: new Date(),
+        sentAt: null,
+        answeredAt: null
+    };
+
+    const result = await db.collection('commands').insertOne(doc);
+    doc._id = result.insertedId;
+
+    await deliverPending(imei);
+
+    return await db.collection('commands').findOne({ _id: doc._id });
+}
+
+/**
+ * Send oldest queued command if the device is connected and idle
+ */
+async function deliverPending(imei) {
+    const db = getDb();
+    if (!db || inFlight.has(imei)) return;
+
+    const conn = connections.get(imei);
+    if (!conn) return;
+
+    // Reserve the slot before awaiting so concurrent callers don't double-send
+    inFlight.set(imei, { commandId: null, timer: null });
+
+    try {
+        const command = await db.collection('commands').findOneAndUpdate(
+            { imei, status: 'queued' },
+            { $set: { status: 'sent', sentAt: new Date(), clientId: conn.clientId } },
+            { sort: { createdAt: 1 }, returnDocument: 'after' }
+        );
+
+        if (!command) {
+            inFlight.delete(imei);
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            expireCommand(imei, command._id, 'No response from device').catch(err => {
+                log.error('commands', `${imei}: expiring command failed: ${err.message}`);
+            });
+        }, COMMAND_TIMEOUT);
+
+        inFlight.set(imei, { commandId: command._id, timer });
+        conn.send(encodeCodec12(command.command), `CODEC12 COMMAND "${command.command}"`);
+    } catch (err) {
+        inFlight.delete(imei);
+        log.error('commands', `${imei}: delivering command failed: ${err.message}`);
+    }
+}
+
+/**
+ * Mark in-flight command as timed out and move on to the next one
+ */
+async function expireCommand(imei, commandId, reason) {
+    const current = inFlight.get(imei);
+    if (!current || !current.commandId || !current.commandId.equals(commandId)) return;
+
+    clearTimeout(current.timer);
+    inFlight.delete(imei);
+
+    const db = getDb();
+    if (db) {
+        await db.collection('commands').updateOne(
+            { _id: commandId, status: 'sent' },
+            { $set: { status: 'timeout', error: reason, timedOutAt: new Date() } }
+        );
+    }
+
+    await deliverPending(imei);
+}
+
+/**
+ * Store device reply for the in-flight command
+ * Codec 12 has no command IDs, so a reply belongs to the single command in flight
+ * meta: extra fields from Codec 13 / 14 responses (responseCodec, deviceTimestamp, nack)
+ * Returns the answered command or null if nothing was waiting
+ */
+async function handleResponse(imei, text, meta = {}) {
+    const current = inFlight.get(imei);
+    const db = getDb();
+    if (!current || !current.commandId || !db) return null;
+
+    clearTimeout(current.timer);
+    inFlight.delete(imei);
+
+    const command = await db.collection('commands').findOneAndUpdate(
+        { _id: current.commandId },
+        { $set: { ...meta, status: 'answered', response: text, answeredAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+
+    await deliverPending(imei);
+
+    return command;
+}
+
+/**
+ * Connection closed - a reply can no longer arrive for the in-flight command
+ */
+async function handleDisconnect(imei) {
+    const current = inFlight.get(imei);
+    if (!current || !current.commandId) return;
+    await expireCommand(imei, current.commandId, 'Connection closed before response');
+}
+
+/**
+ * Commands left "sent" by a previous process will never be answered
+ */
+async function expireStaleCommands() {
+    const db = getDb();
+    if (!db) return 0;
+
+    const result = await db.collection('commands').updateMany(
+        { status: 'sent' },
+        { $set: { status: 'timeout', error: 'Server restarted before response', timedOutAt: new Date() } }
+    );
+    return result.modifiedCount;
+}
+
+/**
+ * List commands for device, newest first
+ */
+async function listCommands(imei, { limit = 50, skip = 0, status } = {}) {
+    const db = getDb();
+    if (!db) return [];
+
+    const query = { imei };
+    if (status) query.status = status;
+
+    return await db.collection('commands')
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+}
+
+module.exports = {
+    validateCommand,
+    queueCommand,
+    deliverPending,
+    handleResponse,
+    handleDisconnect,
+    expireStaleCommands,
+    listCommands
+};
@@ -0,0 +1,45 @@
+/**
+ * Registry of live, authenticated device connections (keyed by IMEI)
+ * Shared between the TCP server and the API running in the same process
+ */
+
+const connections = new Map();
+
+/**
+ * Register connection after successful login
+ * conn: { imei, clientId, transport, socket, send(buffer, description), close(reason) }
+ */
+function register(imei, conn) {
+    connections.set(imei, { ...conn, imei, connectedAt: new Date() });
+    return connections.get(imei);
+}
+
+/**
+ * Remove connection (only if it is still the registered one for this IMEI)
+ */
+function unregister(imei, clientId) {
+    const conn = connections.get(imei);
+    if (conn && conn.clientId === clientId) {
+        connections.delete(imei);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Get live connection for IMEI or null
+ */
+function get(imei) {
+    const conn = connections.get(imei);
+    if (!conn || conn.socket.destroyed) return null;
+    return conn;
+}
+
+/**
+ * List all live connections
+ */
+function list() {
+    return [...connections.values()].filter(conn => !conn.socket.destroyed);
+}
+
+module.exports = { register, unregister, get, list };
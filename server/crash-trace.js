@@ -0,0 +1,50 @@
+/**
+ * Teltonika crash trace decoding (IO 257)
+ * High-frequency accelerometer samples recorded around a crash (IO 247),
+ * one 6-byte sample per entry: X (2), Y (2), Z (2), signed, in mG
+ * Sample interval is not part of the payload (CRASH_TRACE_INTERVAL_MS, default 10 ms)
+ */
+
+const SAMPLE_SIZE = 6;
+const SAMPLE_INTERVAL_MS = parseInt(process.env.CRASH_TRACE_INTERVAL_MS) || 10;
+
+/**
+ * Decode IO 257 payload into accelerometer samples
+ * @param {Buffer} raw - Raw NX bytes
+ * @returns {Object[]} Samples: { x, y, z } in mG
+ */
+function decodeCrashTrace(raw) {
+    if (!raw || raw.length === 0) return [];
+
+    if (raw.length % SAMPLE_SIZE !== 0) {
+        throw new Error(`Crash trace length ${raw.length} is not a multiple of ${SAMPLE_SIZE} bytes`);
+    }
+
+    const samples = [];
+    for (let offset = 0; offset < raw.length; offset += SAMPLE_SIZE) {
+        samples.push({
+            x: raw.readInt16BE(offset),
+            y: raw.readInt16BE(offset + 2),
+            z: raw.readInt16BE(offset + 4)
+        });
+    }
+    return samples;
+}
+
+/**
+ * Resultant acceleration of one sample in g
+ */
+function sampleG(sample) {
+    return Math.sqrt(sample.x ** 2 + sample.y ** 2 + sample.z ** 2) / 1000;
+}
+
+/**
+ * Highest resultant acceleration in g (rounded to 0.001), null for an empty trace
+ */
+function peakG(samples) {
+    if (!samples || samples.length === 0) return null;
+    const peak = Math.max(...samples.map(sampleG));
+    return Math.round(peak * 1000) / 1000;
+}
+
+module.exports = { decodeCrashTrace, peakG, sampleG, SAMPLE_INTERVAL_MS };
@@ -1,64 +1,147 @@
 const { MongoClient } = require('mongodb');
+const log = require('./logger');
 
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/telem';
 
 let client = null;
 let db = null;
+let available = false;
 
-async function connect() {
+/**
+ * Connect and create indexes (skip with { createIndexes: false }, e.g. read-only CLI commands)
+ * The database is only handed out once the indexes are set up - a failed setup fails the connect,
+ * so the next connect attempt creates them again
+ */
+async function connect(options = {}) {
     if (db) return db;
 
     try {
         client = new MongoClient(MONGO_URI);
-        await client.connect();
-        db = client.db();
-        console.log('Connected to MongoDB');
 
-        // Create indexes for devices collection
-        await db.collection('devices').createIndex({ imei: 1 }, { unique: true });
-        await db.collection('devices').createIndex({ vin: 1 });
-        await db.collection('devices').createIndex({ modemType: 1 });
-        await db.collection('devices').createIndex({ lastSeen: -1 });
+        // Track reachability after the initial connect (driver reconnects on its own)
+        client.on('topologyDescriptionChanged', event => {
+            available = event.newDescription.hasDataBearingServers;
+        });
 
-        // Create indexes for FMC003 collections
-        await createDeviceIndexes('fmc003');
+        await client.connect();
+        const database = client.db();
 
+        if (options.createIndexes !== false) {
+            await createIndexes(database);
+        }
+
+        db = database;
+        available = true;
+        log.info('db', 'Connected to MongoDB');
         return db;
     } catch (err) {
-        console.error('MongoDB connection error:', err);
+        log.error('db', `MongoDB connection error: ${err.message}`);
+        available = false;
+        if (!db && client) {
+            await client.close().catch(() => {});
+            client = null;
+        }
         throw err;
     }
 }
 
+/**
+ * Create indexes for the shared collections and the FMC003 collections (default: the connected database)
+ */
+async function createIndexes(database = db) {
+    // Create indexes for devices collection
+    await database.collection('devices').createIndex({ imei: 1 }, { unique: true });
+    await database.collection('devices').createIndex({ vin: 1 });
+    await database.collection('devices').createIndex({ modemType: 1 });
+    await database.collection('devices').createIndex({ lastSeen: -1 });
+
+    // Create indexes for login attempts of unknown IMEIs
+    await database.collection('pending_devices').createIndex({ imei: 1 }, { unique: true });
+    await database.collection('pending_devices').createIndex({ lastAttempt: -1 });
+
+    // Create indexes for connection sessions
+    await database.collection('sessions').createIndex({ imei: 1, connectedAt: -1 });
+    await database.collection('sessions').createIndex({ disconnectedAt: 1 });
+
+    // Create indexes for device history (duplicate connections, cloning suspicions)
+    await database.collection('device_events').createIndex({ imei: 1, at: -1 });
+    await database.collection('device_events').createIndex({ type: 1, at: -1 });
+
+    // Create indexes for GPRS command queue
+    await database.collection('commands').createIndex({ imei: 1, createdAt: -1 });
+    await database.collection('commands').createIndex({ imei: 1, status: 1, createdAt: 1 });
+
+    // Create indexes for DTC fault history (one open event per code and kind)
+    await database.collection('dtc_events').createIndex(
+        { imei: 1, kind: 1, code: 1 },
+        { unique: true, partialFilterExpression: { open: true } }
+    );
+    await database.collection('dtc_events').createIndex({ imei: 1, open: 1, clearedAt: -1 });
+
+    // Create indexes for crash incidents
+    await database.collection('incidents').createIndex({ imei: 1, crashAt: -1 });
+    await database.collection('incidents').createIndex({ trackComplete: 1, lastRecordAt: 1 });
+
+    // Create indexes for stored trips and devices waiting for the trip builder
+    await database.collection('trips').createIndex({ imei: 1, startTime: -1 });
+    await database.collection('trips').createIndex({ imei: 1, open: 1, closedAt: -1 });
+    await database.collection('devices').createIndex({ tripsDirtyFrom: 1 }, { sparse: true });
+
+    // Create indexes for tagged beacon assets
+    await database.collection('beacon_assets').createIndex({ beaconId: 1 }, { unique: true });
+
+    // Create indexes for FMC003 collections
+    await createDeviceIndexes(database, 'fmc003');
+}
+
+// records_<type> are time-series collections: one bucket per device (meta) and time span,
+// so per-device range scans and aggregations only read that device's buckets
+const RECORDS_TIMESERIES = { timeField: 'timestamp', metaField: 'meta', granularity: 'minutes' };
+
+/**
+ * Create records collection as time-series collection if it does not exist
+ * Returns false if it exists as a regular collection (not migrated yet, see `telem records migrate`)
+ */
+async function ensureRecordsCollection(database, name) {
+    const [existing] = await database.listCollections({ name }).toArray();
+    if (existing) return existing.type === 'timeseries';
+
+    try {
+        await database.createCollection(name, { timeseries: RECORDS_TIMESERIES });
+    } catch (err) {
+        // Created concurrently (another process or a first insert)
+        if (err.codeName !== 'NamespaceExists') throw err;
+    }
+    return true;
+}
+
 /**
  * Create indexes for device-specific collections
  */
-async function createDeviceIndexes(deviceType) {
+async function createDeviceIndexes(database, deviceType) {
     const rawCollection = `raw_${deviceType}`;
     const recordsCollection = `records_${deviceType}`;
 
     // Raw collection indexes
-    await db.collection(rawCollection).createIndex({ imei: 1 });
-    await db.collection(rawCollection).createIndex({ vin: 1 });
-    await db.collection(rawCollection).createIndex({ timestamp: -1 });
-
-    // Records collection indexes
-    await db.collection(recordsCollection).createIndex({ imei: 1 });
-    await db.collection(recordsCollection).createIndex({ vin: 1 });
-    await db.collection(recordsCollection).createIndex({ timestamp: -1 });
-    await db.collection(recordsCollection).createIndex({ 'gps.latitude': 1, 'gps.longitude': 1 });
-
-    // Compound indexes for common queries
-    await db.collection(recordsCollection).createIndex({ imei: 1, timestamp: -1 });
-    await db.collection(recordsCollection).createIndex({ vin: 1, timestamp: -1 });
-
-    // IO element indexes for FMC003 specific fields
-    await db.collection(recordsCollection).createIndex({ ignition: 1 });
-    await db.collection(recordsCollection).createIndex({ movement: 1 });
-    await db.collection(recordsCollection).createIndex({ obdEngineRpm: 1 });
-    await db.collection(recordsCollection).createIndex({ obdVehicleSpeed: 1 });
-
-    console.log(`Created indexes for ${deviceType} collections`);
+    await database.collection(rawCollection).createIndex({ imei: 1 });
+    await database.collection(rawCollection).createIndex({ vin: 1 });
+    await database.collection(rawCollection).createIndex({ timestamp: -1 });
+    // Frame lookup for log import (hashed: rawHex is up to a few KB)
+    await database.collection(rawCollection).createIndex({ imei: 1, rawHex: 'hashed' });
+
+    if (!await ensureRecordsCollection(database, recordsCollection)) {
+        log.error('db', `${recordsCollection} is not a time-series collection, records are not readable until it is migrated (telem records migrate)`);
+        return;
+    }
+
+    // Records collection indexes (time-series: no unique indexes, record keys are claimed in record_keys_<type>)
+    await database.collection(recordsCollection).createIndex({ 'meta.imei': 1, timestamp: -1 });
+    await database.collection(recordsCollection).createIndex({ vin: 1, timestamp: -1 });
+
+    // BLE beacon sightings (IO 385)
+    await database.collection(recordsCollection).createIndex({ 'beacons.id': 1, timestamp: -1 });
+
+    log.info('db', `Created indexes for ${deviceType} collections`);
 }
 
 /**
@@ -68,11 +151,11 @@ async function ensureDeviceIndexes(deviceType) {
     if (!db) return;
     const type = deviceType.toLowerCase();
     try {
-        await createDeviceIndexes(type);
+        await createDeviceIndexes(db, type);
     } catch (err) {
         // Indexes might already exist, ignore
         if (!err.message.includes('already exists')) {
-            console.error(`Error creating indexes for ${type}:`, err);
+            log.error('db', `Error creating indexes for ${type}: ${err.message}`);
         }
     }
 }
@@ -82,6 +165,7 @@ async function close() {
         await client.close();
         client = null;
         db = null;
+        available = false;
     }
 }
 
@@ -89,4 +173,11 @@ function getDb() {
     return db;
 }
 
-module.exports = { connect, close, getDb, ensureDeviceIndexes };
+/**
+ * Connected and a data-bearing server is reachable
+ */
+function isAvailable() {
+    return db !== null && available;
+}
+
+module.exports = { connect, close, getDb, isAvailable, createIndexes, ensureDeviceIndexes };
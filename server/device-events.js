@@ -0,0 +1,112 @@
+/**
+ * Device history (`device_events` collection) and duplicate-IMEI detection
+ *
+ * Event types:
+ *   duplicate_connection - second live connection for an IMEI (details: policy, action, both sockets)
+ *   clone_suspected      - same IMEI from two networks at once, or alternating between networks
+ *
+ * DUPLICATE_IMEI_POLICY=replace (default) | reject | allow
+ *   replace - close the old connection, serve the new one (device reconnected before its old socket timed out)
+ *   reject  - NACK the new login, keep the old connection
+ *   allow   - serve both and flag the new session
+ */
+
+const log = require('./logger');
+const { getDb } = require('./db');
+
+const POLICIES = ['replace', 'reject', 'allow'];
+const DUPLICATE_IMEI_POLICY = POLICIES.includes(process.env.DUPLICATE_IMEI_POLICY)
+    ? process.env.DUPLICATE_IMEI_POLICY
+    : 'replace';
+// Network switches within the window that raise a cloning suspicion (A -> B -> A -> B)
+const CLONE_SWITCH_THRESHOLD = parseInt(process.env.CLONE_SWITCH_THRESHOLD) || 3;
+const CLONE_WINDOW_MS = (parseInt(process.env.CLONE_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+// IMEI -> [{ network, at }] logins from a different network than the previous one
+const networkHistory = new Map();
+// IMEI -> last suspicion time (one alternation suspicion per window)
+const lastSuspicion = new Map();
+
+/**
+ * Remote network of an address: /24 for IPv4, /64 for IPv6
+ */
+function networkOf(address) {
+    const ip = (address || '').replace(/^::ffff:/, '');
+    if (ip.includes('.')) {
+        return ip.split('.').slice(0, 3).join('.') + '.0/24';
+    }
+    const [head] = ip.split('::');
+    return head.split(':').slice(0, 4).join(':') + '::/64';
+}
+
+/**
+ * Append event to the device's history
+ */
+async function recordDeviceEvent(imei, type, details = {}) {
+    const db = getDb();
+    if (!db) return null;
+
+    try {
+        const result = await db.collection('device_events').insertOne({
+            imei,
+            type,
+            at: new Date(),
+            ...details
+        });
+        return result.insertedId;
+    } catch (err) {
+        log.error('db', `Error saving device event: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Remember login network and check whether the IMEI keeps alternating between networks
+ * Returns suspicion { networks, switches } or null
+ */
+function trackLoginNetwork(imei, remoteAddress) {
+    const now = Date.now();
+    const network = networkOf(remoteAddress);
+    const history = (networkHistory.get(imei) || []).filter(h => h.at > now - CLONE_WINDOW_MS);
+
+    if (history.length === 0 || history[history.length - 1].network !== network) {
+        history.push({ network, at: now });
+    }
+    networkHistory.set(imei, history);
+
+    // A single move to a new network is normal (roaming, new carrier NAT) - returning is not
+    const switches = history.length - 1;
+    const networks = [...new Set(history.map(h => h.network))];
+    if (switches < CLONE_SWITCH_THRESHOLD || networks.length === history.length) return null;
+
+    if (lastSuspicion.get(imei) > now - CLONE_WINDOW_MS) return null;
+    lastSuspicion.set(imei, now);
+    return { networks, switches };
+}
+
+/**
+ * Device history, newest first
+ * Options: type filter, limit, skip
+ */
+async function getDeviceEvents(imei, { type = null, limit = 100, skip = 0 } = {}) {
+    const db = getDb();
+    if (!db) return [];
+
+    const query = { imei };
+    if (type) query.type = type;
+
+    return await db.collection('device_events')
+        .find(query)
+        .sort({ at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+}
+
+module.exports = {
+    DUPLICATE_IMEI_POLICY,
+    networkOf,
+    recordDeviceEvent,
+    trackLoginNetwork,
+    getDeviceEvents
+};
@@ -0,0 +1,129 @@
+/**
+ * DTC fault history per vehicle (`dtc_events` collection)
+ * One document per fault occurrence: opened when a code first appears,
+ * lastSeen updated while it is reported, clearedAt set once it disappears
+ */
+
+const { getDb } = require('./db');
+const { describeDtc } = require('./dtc');
+const log = require('./logger');
+
+// IO element -> event kind
+const DTC_KINDS = {
+    387: 'active',
+    388: 'pending'
+};
+
+// IMEI -> last queued update; packets of one device are applied in order, one at a time
+const queues = new Map();
+
+/**
+ * Apply DTC lists from decoded AVL records to the fault history
+ * Records without IO 387/388 say nothing about faults and are skipped
+ * Calls for the same IMEI are serialized: concurrent upserts of one code would race on the open-fault index
+ */
+function trackDtcEvents(imei, vin, records) {
+    const previous = queues.get(imei) || Promise.resolve();
+    const current = previous.then(() => applyDtcEvents(imei, vin, records));
+    queues.set(imei, current);
+    current.then(() => {
+        if (queues.get(imei) === current) queues.delete(imei);
+    });
+    return current;
+}
+
+/**
+ * Upsert open fault; on a duplicate key another writer (e.g. a second process) opened it first - update that one
+ */
+async function upsertOpenFault(collection, filter, update) {
+    try {
+        return await collection.updateOne(filter, update, { upsert: true });
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        return collection.updateOne(filter, update);
+    }
+}
+
+async function applyDtcEvents(imei, vin, records) {
+    const db = getDb();
+    if (!db) return null;
+
+    const collection = db.collection('dtc_events');
+    let opened = 0;
+    let cleared = 0;
+
+    try {
+        for (const record of records) {
+            const seenAt = new Date(record.timestamp);
+
+            for (const elem of record.io.elements) {
+                const kind = DTC_KINDS[elem.id];
+                if (!kind || !Array.isArray(elem.value)) continue;
+
+                const codes = elem.value;
+
+                // Codes no longer reported are cleared (ignore older, out-of-order records)
+                const clearResult = await collection.updateMany(
+                    { imei, kind, open: true, code: { $nin: codes }, lastSeen: { $lt: seenAt } },
+                    { $set: { open: false, clearedAt: seenAt } }
+                );
+                cleared += clearResult.modifiedCount;
+
+                for (const code of codes) {
+                    const info = describeDtc(code);
+                    const result = await upsertOpenFault(
+                        collection,
+                        { imei, kind, code, open: true },
+                        {
+                            $setOnInsert: {
+                                vin: vin || null,
+                                system: info.system,
+                                manufacturerSpecific: info.manufacturerSpecific,
+                                description: info.description,
+                                clearedAt: null
+                            },
+                            $min: { firstSeen: seenAt },
+                            $max: { lastSeen: seenAt },
+                            $inc: { reportCount: 1 }
+                        }
+                    );
+                    if (result.upsertedCount > 0) opened++;
+                }
+            }
+        }
+
+        return { opened, cleared };
+    } catch (err) {
+        log.error('records', `Error tracking DTC events: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Active/pending faults and cleared history for a device
+ */
+async function getDtcEvents(imei, { historyLimit = 100 } = {}) {
+    const db = getDb();
+    if (!db) return null;
+
+    const collection = db.collection('dtc_events');
+
+    const open = await collection
+        .find({ imei, open: true })
+        .sort({ firstSeen: -1 })
+        .toArray();
+
+    const history = await collection
+        .find({ imei, open: false })
+        .sort({ clearedAt: -1 })
+        .limit(historyLimit)
+        .toArray();
+
+    return {
+        active: open.filter(e => e.kind === 'active'),
+        pending: open.filter(e => e.kind === 'pending'),
+        history
+    };
+}
+
+module.exports = { trackDtcEvents, getDtcEvents, DTC_KINDS };
@@ -0,0 +1,82 @@
+/**
+ * OBD diagnostic trouble code (DTC) decoding
+ * IO 387 (DTC Faults) / 388 (Pending DTC Faults) arrive as NX elements,
+ * either as 2-byte SAE J2012 codes or as an ASCII list ("P0300,P0171")
+ */
+
+const SAE_TABLE = require('./data/dtc-codes.json');
+
+const SYSTEMS = {
+    P: 'Powertrain',
+    C: 'Chassis',
+    B: 'Body',
+    U: 'Network'
+};
+
+const CODE_PATTERN = /^[PCBU][0-3][0-9A-F]{3}$/;
+
+/**
+ * Decode one 2-byte SAE J2012 code
+ * Bits 15-14: system (P/C/B/U), bits 13-12: first digit, then 3 hex digits
+ */
+function decodeDtcWord(word) {
+    const system = 'PCBU'[(word >> 14) & 0x03];
+    const firstDigit = (word >> 12) & 0x03;
+    const rest = (word & 0x0fff).toString(16).toUpperCase().padStart(3, '0');
+    return `${system}${firstDigit}${rest}`;
+}
+
+/**
+ * Decode NX DTC element into list of codes (e.g. ['P0301', 'P0420'])
+ * @param {Buffer} raw - Raw NX bytes
+ * @returns {string[]} Codes, empty when no faults are stored
+ */
+function decodeDtcList(raw) {
+    if (!raw || raw.length === 0) return [];
+
+    // ASCII list variant - only if every token is a valid code: binary words can be printable
+    // letters too (0x5030 = "P0"), those fall through to binary decoding
+    const text = raw.toString('ascii').replace(/\0/g, '').trim();
+    if (/^[PCBU0-9A-F,;\s]+$/i.test(text) && /[PCBU]/i.test(text)) {
+        const tokens = text.toUpperCase().split(/[,;\s]+/).filter(Boolean);
+        if (tokens.every(code => CODE_PATTERN.test(code))) {
+            return [...new Set(tokens)];
+        }
+    }
+
+    // Binary variant: 2 bytes per code, 0x0000 is padding
+    const codes = [];
+    for (let i = 0; i + 1 < raw.length; i += 2) {
+        const word = raw.readUInt16BE(i);
+        if (word === 0) continue;
+        codes.push(decodeDtcWord(word));
+    }
+    return [...new Set(codes)];
+}
+
+/**
+ * Describe code from the bundled SAE table
+ * @returns {{ code, system, manufacturerSpecific, description }}
+ */
+function describeDtc(code) {
+    const system = SYSTEMS[code[0]] || 'Unknown';
+
+    // P1xxx, P30xx-P33xx, B1/B2, C1/C2, U1/U2 are defined by the vehicle manufacturer
+    const manufacturerSpecific = code[1] === '1' ||
+        (code[0] === 'P' && code[1] === '3' && code[2] <= '3') ||
+        (code[0] !== 'P' && code[1] === '2');
+
+    let description = SAE_TABLE.codes[code] || null;
+    if (!description) {
+        if (manufacturerSpecific) {
+            description = 'Manufacturer specific';
+        } else {
+            const range = SAE_TABLE.ranges[code.slice(0, 3)] || SAE_TABLE.ranges[code[0]];
+            description = range ? `${range} (generic)` : 'Unknown code';
+        }
+    }
+
+    return { code, system, manufacturerSpecific, description };
+}
+
+module.exports = { decodeDtcList, decodeDtcWord, describeDtc };
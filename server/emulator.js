@@ -0,0 +1,515 @@
+/**
+ * FMC003 device emulator
+ * Replays a GPX / CSV route or synthesizes ignition cycles as one or many virtual units
+ * and sends them to a running server.js over TCP (or TLS) like a real device:
+ * IMEI login, Codec 8 / 8E packets, records dropped from memory only when ACKed,
+ * un-ACKed packets resent after reconnecting, Codec 12 commands answered
+ *
+ * Usage:
+ *   node emulator.js --cycles 3                          3 synthetic trips, sent as fast as ACKs arrive
+ *   node emulator.js --route drive.gpx --speedup 10      replay route at 10x real time
+ *   node emulator.js --units 200 --cycles 1 --quiet      load test, 200 IMEIs
+ *
+ * Options:
+ *   --host 127.0.0.1  --port 5027  --tls  --insecure (accept self-signed certificate)
+ *   --imei 356307042441013   first IMEI, further units count up from it
+ *   --units 1  --ramp 100    units and ms between their connects
+ *   --route <file>           GPX (trkpt) or CSV with lat, lon[, time, speed, altitude] columns
+ *   --cycles 2               synthetic ignition cycles when no route is given
+ *   --trip-minutes 15  --park-minutes 30  --lat 56.9496  --lon 24.1052  --seed <n>
+ *   --interval 10            seconds between records while driving (parked: 300)
+ *   --speed 50               km/h for route points without time / speed
+ *   --start <ISO time>       first record time (default: now, or ending now when not paced)
+ *   --speedup 0              pace records by their timestamps at this factor (0 = as fast as possible)
+ *   --batch 10               records per packet
+ *   --codec 8e               8 | 8e
+ *   --ack-timeout 10         seconds to wait for ACK before reconnecting and resending
+ *   --quiet                  summary only
+ */
+
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const { parseArgs } = require('util');
+const { encodeCodec8, encodeCodec8E, encodeIMEI } = require('./codec8');
+const { decodeCodec12, encodeCodec12, TYPE_RESPONSE } = require('./codec12');
+
+const PARKED_INTERVAL_S = 300;
+const RECONNECT_DELAY_MS = 2000;
+const FUEL_ML_PER_KM = 70;     // ~7 l/100 km
+const IDLE_RPM = 800;
+
+const { values: options } = parseArgs({
+    options: {
+        host: { type: 'string', default: '127.0.0.1' },
+        port: { type: 'string', default: '5027' },
+        tls: { type: 'boolean', default: false },
+        insecure: { type: 'boolean', default: false },
+        imei: { type: 'string', default: '356307042441013' },
+        units: { type: 'string', default: '1' },
+        ramp: { type: 'string', default: '100' },
+        route: { type: 'string' },
+        cycles: { type: 'string', default: '2' },
+        'trip-minutes': { type: 'string', default: '15' },
+        'park-minutes': { type: 'string', default: '30' },
+        lat: { type: 'string', default: '56.9496' },
+        lon: { type: 'string', default: '24.1052' },
+        seed: { type: 'string' },
+        interval: { type: 'string', default: '10' },
+        speed: { type: 'string', default: '50' },
+        start: { type: 'string' },
+        speedup: { type: 'string', default: '0' },
+        batch: { type: 'string', default: '10' },
+        codec: { type: 'string', default: '8e' },
+        'ack-timeout': { type: 'string', default: '10' },
+        quiet: { type: 'boolean', default: false }
+    }
+});
+
+const speedup = parseFloat(options.speedup);
+const encode = options.codec === '8' ? encodeCodec8 : encodeCodec8E;
+
+// ============ ROUTES ============
+
+/**
+ * Deterministic PRNG (mulberry32) so --seed reproduces the same trips
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function distanceMeters(a, b) {
+    const rad = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * rad;
+    const dLon = (b.lon - a.lon) * rad;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function bearing(a, b) {
+    const rad = Math.PI / 180;
+    const y = Math.sin((b.lon - a.lon) * rad) * Math.cos(b.lat * rad);
+    const x = Math.cos(a.lat * rad) * Math.sin(b.lat * rad) -
+        Math.sin(a.lat * rad) * Math.cos(b.lat * rad) * Math.cos((b.lon - a.lon) * rad);
+    return (Math.atan2(y, x) / rad + 360) % 360;
+}
+
+/**
+ * Parse GPX track points: [{ lat, lon, altitude?, time? }]
+ */
+function parseGPX(content) {
+    const points = [];
+    const pattern = /<trkpt\b([^>]*)>([\s\S]*?)<\/trkpt>/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+        const lat = match[1].match(/lat="([^"]+)"/);
+        const lon = match[1].match(/lon="([^"]+)"/);
+        if (!lat || !lon) continue;
+        const ele = match[2].match(/<ele>([^<]+)<\/ele>/);
+        const time = match[2].match(/<time>([^<]+)<\/time>/);
+        points.push({
+            lat: parseFloat(lat[1]),
+            lon: parseFloat(lon[1]),
+            altitude: ele ? parseFloat(ele[1]) : undefined,
+            time: time ? new Date(time[1]).getTime() : undefined
+        });
+    }
+    return points;
+}
+
+/**
+ * Parse CSV with header: lat / latitude, lon / lng / longitude, optional time / timestamp,
+ * speed (km/h), altitude / ele
+ */
+function parseCSV(content) {
+    const lines = content.split(/\r?\n/).filter(l => l.trim());
+    const header = lines.shift().split(',').map(h => h.trim().toLowerCase());
+    const column = (...names) => header.findIndex(h => names.includes(h));
+    const cols = {
+        lat: column('lat', 'latitude'),
+        lon: column('lon', 'lng', 'longitude'),
+        time: column('time', 'timestamp'),
+        speed: column('speed'),
+        altitude: column('altitude', 'ele', 'elevation')
+    };
+    if (cols.lat < 0 || cols.lon < 0) {
+        throw new Error('CSV needs lat and lon columns');
+    }
+
+    return lines.map(line => {
+        const fields = line.split(',').map(f => f.trim());
+        return {
+            lat: parseFloat(fields[cols.lat]),
+            lon: parseFloat(fields[cols.lon]),
+            time: cols.time >= 0 && fields[cols.time] ? new Date(fields[cols.time]).getTime() : undefined,
+            speed: cols.speed >= 0 ? parseFloat(fields[cols.speed]) : undefined,
+            altitude: cols.altitude >= 0 ? parseFloat(fields[cols.altitude]) : undefined
+        };
+    }).filter(p => !isNaN(p.lat) && !isNaN(p.lon));
+}
+
+/**
+ * Route file to drive: [{ lat, lon, altitude, speed, offsetS }]
+ */
+function loadRoute(file) {
+    const content = fs.readFileSync(file, 'utf-8');
+    const points = file.toLowerCase().endsWith('.gpx') ? parseGPX(content) : parseCSV(content);
+    if (points.length < 2) {
+        throw new Error(`${file}: route needs at least 2 points`);
+    }
+
+    const defaultSpeed = parseFloat(options.speed);
+    const drive = [];
+    let offsetS = 0;
+    for (let i = 0; i < points.length; i++) {
+        const point = points[i];
+        let speed = point.speed;
+        if (i > 0) {
+            const meters = distanceMeters(points[i - 1], point);
+            const seconds = point.time !== undefined && points[i - 1].time !== undefined
+                ? (point.time - points[i - 1].time) / 1000
+                : meters / (defaultSpeed / 3.6);
+            offsetS += Math.max(seconds, 1);
+            if (speed === undefined) speed = meters / Math.max(seconds, 1) * 3.6;
+        }
+        drive.push({ lat: point.lat, lon: point.lon, altitude: point.altitude || 0, speed: speed || 0, offsetS });
+    }
+    return drive;
+}
+
+/**
+ * Synthetic drive: random walk from start with speed changes and short stops
+ */
+function synthesizeDrive(start, minutes, interval, random) {
+    const drive = [];
+    let position = { ...start };
+    let heading = random() * 360;
+    let speed = 0;
+    let target = 50;
+
+    for (let offsetS = 0; offsetS <= minutes * 60; offsetS += interval) {
+        // New target speed now and then, occasionally a stop (traffic lights)
+        if (random() < 0.1) {
+            target = random() < 0.2 ? 0 : 20 + random() * 70;
+        }
+        speed += Math.max(-15, Math.min(15, target - speed));
+        heading = (heading + (random() - 0.5) * 30 + 360) % 360;
+
+        const meters = speed / 3.6 * interval;
+        const rad = Math.PI / 180;
+        position = {
+            lat: position.lat + meters * Math.cos(heading * rad) / 111320,
+            lon: position.lon + meters * Math.sin(heading * rad) / (111320 * Math.cos(position.lat * rad))
+        };
+        drive.push({ ...position, altitude: 10, speed: Math.round(speed), offsetS });
+    }
+    return drive;
+}
+
+// ============ RECORDS ============
+
+/**
+ * Turn drives into the device's record stream: parked records (ignition off) between trips,
+ * ignition on / off events, odometer and fuel counters carried across trips
+ */
+function buildTimeline(drives, unitIndex) {
+    const parkS = parseInt(options['park-minutes']) * 60;
+    const state = { odometer: 10000000 + unitIndex * 1000, fuel: 0 };
+    const records = [];
+    let clock = 0;
+
+    const record = (offsetS, point, fields, event = 0) => {
+        const { ignition, speed, rpm, tripOdometer, angle } = fields;
+        records.push({
+            offsetS,
+            priority: event ? 1 : 0,
+            gps: {
+                longitude: point.lon,
+                latitude: point.lat,
+                altitude: point.altitude || 0,
+                angle: Math.round(angle || 0),
+                satellites: 10,
+                speed: Math.round(speed)
+            },
+            io: {
+                eventIoId: event,
+                elements: [
+                    { id: 239, value: ignition },
+                    { id: 240, value: speed > 0 ? 1 : 0 },
+                    { id: 21, value: 4 },
+                    { id: 69, value: 1 },
+                    { id: 24, value: Math.round(speed), size: 2 },
+                    { id: 36, value: Math.round(rpm), size: 2 },
+                    { id: 37, value: Math.round(speed), size: 1 },
+                    { id: 66, value: ignition ? 14100 : 12600, size: 2 },
+                    { id: 16, value: Math.round(state.odometer), size: 4 },
+                    { id: 199, value: Math.round(tripOdometer), size: 4 },
+                    { id: 12, value: Math.round(state.fuel), size: 4 }
+                ]
+            }
+        });
+    };
+
+    const park = (point, seconds) => {
+        for (let t = 0; t < seconds; t += PARKED_INTERVAL_S) {
+            record(clock + t, point, { ignition: 0, speed: 0, rpm: 0, tripOdometer: 0 });
+        }
+        clock += seconds;
+    };
+
+    for (const drive of drives) {
+        park(drive[0], parkS);
+
+        let tripOdometer = 0;
+        const startClock = clock;
+        record(clock, drive[0], { ignition: 1, speed: 0, rpm: IDLE_RPM, tripOdometer }, 239);
+
+        for (let i = 1; i < drive.length; i++) {
+            const meters = distanceMeters(drive[i - 1], drive[i]);
+            tripOdometer += meters;
+            state.odometer += meters;
+            state.fuel += meters / 1000 * FUEL_ML_PER_KM;
+            clock = startClock + drive[i].offsetS;
+            record(clock, drive[i], {
+                ignition: 1,
+                speed: drive[i].speed,
+                rpm: drive[i].speed > 0 ? IDLE_RPM + drive[i].speed * 30 : IDLE_RPM,
+                tripOdometer,
+                angle: bearing(drive[i - 1], drive[i])
+            });
+        }
+
+        clock += 5;
+        record(clock, drive[drive.length - 1], { ignition: 0, speed: 0, rpm: 0, tripOdometer }, 239);
+    }
+    park(drives[drives.length - 1][drives[drives.length - 1].length - 1], parkS);
+
+    return { records, durationS: clock };
+}
+
+/**
+ * Drives for one unit (route shifted slightly per unit so tracks don't overlap)
+ */
+function buildDrives(unitIndex, random) {
+    const shift = unitIndex * 0.002;
+    if (options.route) {
+        return [loadRoute(options.route).map(p => ({ ...p, lat: p.lat + shift }))];
+    }
+
+    const start = { lat: parseFloat(options.lat) + shift, lon: parseFloat(options.lon) };
+    const drives = [];
+    for (let i = 0; i < parseInt(options.cycles); i++) {
+        const from = i === 0 ? start : drives[i - 1][drives[i - 1].length - 1];
+        drives.push(synthesizeDrive(from, parseInt(options['trip-minutes']), parseInt(options.interval), random));
+    }
+    return drives;
+}
+
+/**
+ * N-th IMEI counting up from the first one (15 digits)
+ */
+function unitIMEI(index) {
+    return (BigInt(options.imei) + BigInt(index)).toString().padStart(15, '0').slice(-15);
+}
+
+// ============ DEVICE CONNECTION ============
+
+/**
+ * Incoming bytes after login: 4-byte ACK (record count) or Codec 12 command frame (preamble 0)
+ */
+function nextMessage(buffer) {
+    if (buffer.length < 4) return null;
+    const first = buffer.readUInt32BE(0);
+    if (first !== 0) {
+        return { type: 'ack', count: first, size: 4 };
+    }
+    if (buffer.length < 8) return null;
+    const size = 8 + buffer.readUInt32BE(4) + 4;
+    if (buffer.length < size) return null;
+    return { type: 'command', frame: buffer.slice(0, size), size };
+}
+
+class VirtualDevice {
+    constructor(index, records, stats) {
+        this.imei = unitIMEI(index);
+        this.records = records;   // device memory: records not ACKed yet
+        this.stats = stats;
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.waiter = null;
+    }
+
+    log(message) {
+        if (!options.quiet) console.log(`[${this.imei}] ${message}`);
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const port = parseInt(options.port);
+            const socket = options.tls
+                ? tls.connect({ host: options.host, port, rejectUnauthorized: !options.insecure }, () => resolve(socket))
+                : net.connect({ host: options.host, port }, () => resolve(socket));
+            socket.once('error', reject);
+            // Events of a previous (destroyed) socket must not settle the current wait
+            socket.on('error', err => { if (this.socket === socket) this.fail(err); });
+            socket.on('data', chunk => { if (this.socket === socket) this.onData(chunk); });
+            socket.on('close', () => { if (this.socket === socket) this.fail(new Error('connection closed')); });
+            this.socket = socket;
+        });
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        if (this.waiter && this.waiter.login) {
+            const accepted = this.buffer[0] === 0x01;
+            this.buffer = this.buffer.slice(1);
+            return this.settle(accepted);
+        }
+
+        let message;
+        while ((message = nextMessage(this.buffer)) !== null) {
+            this.buffer = this.buffer.slice(message.size);
+            if (message.type === 'command') {
+                this.answerCommand(message.frame);
+            } else if (this.waiter) {
+                this.settle(message.count);
+            }
+        }
+    }
+
+    answerCommand(frame) {
+        const decoded = decodeCodec12(frame);
+        if (decoded.error) return;
+        for (const message of decoded.messages) {
+            this.log(`command "${message.text}"`);
+            this.socket.write(encodeCodec12(`Emulated FMC003, ignored: ${message.text}`, TYPE_RESPONSE));
+        }
+    }
+
+    wait(login = false) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => this.fail(new Error('ACK timeout')), parseFloat(options['ack-timeout']) * 1000);
+            this.waiter = { login, resolve, reject, timer };
+        });
+    }
+
+    settle(value) {
+        const waiter = this.waiter;
+        if (!waiter) return;
+        this.waiter = null;
+        clearTimeout(waiter.timer);
+        waiter.resolve(value);
+    }
+
+    fail(err) {
+        const waiter = this.waiter;
+        if (!waiter) return;
+        this.waiter = null;
+        clearTimeout(waiter.timer);
+        waiter.reject(err);
+    }
+
+    /**
+     * Log in and send packets until memory is empty, reconnecting on NACK-less failures
+     */
+    async run(startMs) {
+        while (this.records.length > 0) {
+            try {
+                await this.session(startMs);
+            } catch (err) {
+                if (err.message === 'login rejected') throw err;
+                this.stats.reconnects++;
+                this.log(`${err.message}, ${this.records.length} records kept, reconnecting`);
+                await new Promise(r => setTimeout(r, RECONNECT_DELAY_MS));
+            } finally {
+                if (this.socket) this.socket.destroy();
+                this.buffer = Buffer.alloc(0);
+            }
+        }
+        this.log('all records ACKed');
+    }
+
+    async session(startMs) {
+        await this.connect();
+        this.socket.write(encodeIMEI(this.imei));
+        if (!await this.wait(true)) {
+            throw new Error('login rejected');
+        }
+        this.log('logged in');
+
+        while (this.records.length > 0) {
+            // Paced: wait until the record is "collected"
+            const batch = this.records.slice(0, parseInt(options.batch));
+            if (speedup > 0) {
+                const due = this.pacingStart + (batch[0].timeMs - startMs) / speedup;
+                if (due > Date.now()) await new Promise(r => setTimeout(r, due - Date.now()));
+                const ready = batch.filter(r => this.pacingStart + (r.timeMs - startMs) / speedup <= Date.now());
+                batch.length = Math.max(ready.length, 1);
+            }
+
+            const frame = encode(batch.map(r => ({ ...r, timestamp: new Date(r.timeMs) })));
+            this.socket.write(frame);
+            this.stats.sent += batch.length;
+            if (batch[0].sent) this.stats.resent += batch.length;
+            batch.forEach(r => { r.sent = true; });
+
+            const count = await this.wait();
+            if (count !== batch.length) {
+                throw new Error(`ACK ${count} for ${batch.length} records`);
+            }
+            this.records.splice(0, batch.length);
+            this.stats.acked += batch.length;
+            this.log(`${batch.length} records ACKed (${this.records.length} in memory)`);
+        }
+    }
+}
+
+async function main() {
+    const units = parseInt(options.units);
+    const stats = { sent: 0, acked: 0, resent: 0, reconnects: 0, failedUnits: 0 };
+    const startedAt = Date.now();
+
+    const devices = [];
+    for (let i = 0; i < units; i++) {
+        const random = createRandom(options.seed !== undefined ? parseInt(options.seed) + i : Date.now() + i);
+        const { records, durationS } = buildTimeline(buildDrives(i, random), i);
+
+        // Paced runs start now, unpaced runs are history ending now
+        const startMs = options.start
+            ? new Date(options.start).getTime()
+            : speedup > 0 ? Date.now() : Date.now() - durationS * 1000;
+        records.forEach(r => { r.timeMs = startMs + r.offsetS * 1000; });
+
+        const device = new VirtualDevice(i, records, stats);
+        device.pacingStart = Date.now();
+        devices.push({ device, startMs });
+    }
+
+    console.log(`${units} unit(s), ${devices.reduce((n, d) => n + d.device.records.length, 0)} records -> ${options.host}:${options.port}${options.tls ? ' (TLS)' : ''}`);
+
+    await Promise.all(devices.map(({ device, startMs }, i) =>
+        new Promise(r => setTimeout(r, i * parseInt(options.ramp)))
+            .then(() => device.run(startMs))
+            .catch(err => {
+                stats.failedUnits++;
+                console.error(`[${device.imei}] ${err.message}`);
+            })
+    ));
+
+    const seconds = (Date.now() - startedAt) / 1000;
+    console.log(`Done in ${seconds.toFixed(1)} s: ${stats.acked} records ACKed (${(stats.acked / seconds).toFixed(1)}/s), ` +
+        `${stats.resent} resent, ${stats.reconnects} reconnects, ${stats.failedUnits} unit(s) failed`);
+    process.exit(stats.failedUnits > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
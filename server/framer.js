@@ -0,0 +1,114 @@
+/**
+ * Teltonika TCP stream framing
+ * Reassembles IMEI login frames and AVL packets from arbitrary socket chunks
+ */
+
+const IMEI_LENGTH = 15;
+const IMEI_FRAME_SIZE = 2 + IMEI_LENGTH;
+const AVL_HEADER_SIZE = 8;  // 4-byte preamble + 4-byte data field length
+const AVL_CRC_SIZE = 4;
+
+class FrameReassembler {
+    /**
+     * maxFrameSize: AVL packets declaring a larger size are reported as 'oversize'
+     * instead of being buffered (bounds memory per connection)
+     */
+    constructor({ maxFrameSize = Infinity } = {}) {
+        this.buffer = Buffer.alloc(0);
+        this.maxFrameSize = maxFrameSize;
+    }
+
+    /**
+     * Number of bytes waiting for the rest of their frame
+     */
+    get pending() {
+        return this.buffer.length;
+    }
+
+    /**
+     * Append a chunk and cut every complete frame out of the buffer
+     * Returns array of { type: 'imei' | 'avl' | 'garbage' | 'oversize', buffer, imei?, size? }
+     * After 'oversize' the stream cannot be resynchronised - the rest is dropped
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        const frames = [];
+        let offset = 0;
+
+        while (offset < this.buffer.length) {
+            const remaining = this.buffer.length - offset;
+
+            // Not enough bytes to tell the frame type yet
+            if (remaining < 2) break;
+
+            const first = this.buffer.readUInt16BE(offset);
+
+            // IMEI login: 2-byte length (always 15) + ASCII IMEI
+            if (first === IMEI_LENGTH) {
+                if (remaining < IMEI_FRAME_SIZE) break;
+                const frame = this.buffer.slice(offset, offset + IMEI_FRAME_SIZE);
+                frames.push({
+                    type: 'imei',
+                    buffer: frame,
+                    imei: frame.slice(2).toString('ascii')
+                });
+                offset += IMEI_FRAME_SIZE;
+                continue;
+            }
+
+            // AVL packet: 4 zero bytes preamble + data field length + data + CRC
+            if (first === 0) {
+                if (remaining < 4) break;
+                if (this.buffer.readUInt16BE(offset + 2) === 0) {
+                    if (remaining < AVL_HEADER_SIZE) break;
+                    const dataFieldLength = this.buffer.readUInt32BE(offset + 4);
+                    const frameSize = AVL_HEADER_SIZE + dataFieldLength + AVL_CRC_SIZE;
+                    if (frameSize > this.maxFrameSize) {
+                        frames.push({
+                            type: 'oversize',
+                            buffer: this.buffer.slice(offset, offset + AVL_HEADER_SIZE),
+                            size: frameSize
+                        });
+                        this.reset();
+                        return frames;
+                    }
+                    if (remaining < frameSize) break;
+                    frames.push({
+                        type: 'avl',
+                        buffer: this.buffer.slice(offset, offset + frameSize)
+                    });
+                    offset += frameSize;
+                    continue;
+                }
+            }
+
+            // Unknown bytes - drop everything up to the next possible frame start
+            const next = this.findNextFrameStart(offset + 1);
+            frames.push({
+                type: 'garbage',
+                buffer: this.buffer.slice(offset, next)
+            });
+            offset = next;
+        }
+
+        this.buffer = offset > 0 ? Buffer.from(this.buffer.slice(offset)) : this.buffer;
+        return frames;
+    }
+
+    /**
+     * Find next offset that could start a preamble or IMEI length field
+     */
+    findNextFrameStart(from) {
+        for (let i = from; i < this.buffer.length; i++) {
+            if (this.buffer[i] === 0) return i;
+        }
+        return this.buffer.length;
+    }
+
+    reset() {
+        this.buffer = Buffer.alloc(0);
+    }
+}
+
+module.exports = { FrameReassembler };
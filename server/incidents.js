@@ -0,0 +1,215 @@
+/**
+ * Crash incident reports (`incidents` collection)
+ * Records with IO 247 (Crash Detection) or IO 257 (Crash Trace Data) that are
+ * close in time are merged into one incident. The GPS track around the crash is
+ * filled in once the records after the crash had time to arrive
+ */
+
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { getCollectionName } = require('./models');
+const { peakG, SAMPLE_INTERVAL_MS } = require('./crash-trace');
+const log = require('./logger');
+
+const CRASH_DETECTION_IO = 247;
+const CRASH_TRACE_IO = 257;
+const IGNITION_IO = 239;
+
+// Records this close to an incident belong to it (trace chunks arrive in several records)
+const MERGE_WINDOW_MS = (parseInt(process.env.INCIDENT_MERGE_WINDOW_S) || 60) * 1000;
+const TRACK_BEFORE_MS = (parseInt(process.env.INCIDENT_TRACK_BEFORE_S) || 300) * 1000;
+const TRACK_AFTER_MS = (parseInt(process.env.INCIDENT_TRACK_AFTER_S) || 300) * 1000;
+
+// IO 247 values
+const CRASH_TYPES = {
+    1: 'Crash detected (calibrated)',
+    2: 'Limited crash trace (not calibrated)',
+    3: 'Limited crash trace (calibrated)',
+    4: 'Full crash trace (not calibrated)',
+    5: 'Full crash trace (calibrated)',
+    6: 'Crash detected (not calibrated)'
+};
+
+/**
+ * Merge crash elements from decoded AVL records into incidents
+ */
+async function trackIncidents(imei, vin, modemType, records) {
+    const db = getDb();
+    if (!db) return null;
+
+    const collection = db.collection('incidents');
+    let opened = 0;
+    let updated = 0;
+
+    try {
+        for (const record of records) {
+            const crash = record.io.elements.find(e => e.id === CRASH_DETECTION_IO && e.value > 0);
+            const trace = record.io.elements.find(e => e.id === CRASH_TRACE_IO && Array.isArray(e.value));
+            if (!crash && !trace) continue;
+
+            const at = new Date(record.timestamp);
+            const update = {
+                $setOnInsert: {
+                    imei,
+                    modemType,
+                    traceIntervalMs: SAMPLE_INTERVAL_MS,
+                    track: [],
+                    trackComplete: false,
+                    createdAt: new Date()
+                },
+                $set: { vin: vin || null, updatedAt: new Date() },
+                $min: { crashAt: at },
+                $max: { lastRecordAt: at }
+            };
+
+            if (crash) {
+                const ignition = record.io.elements.find(e => e.id === IGNITION_IO);
+                Object.assign(update.$set, {
+                    crashDetection: crash.value,
+                    crashType: CRASH_TYPES[crash.value] || 'Unknown',
+                    position: {
+                        latitude: record.gps.latitude,
+                        longitude: record.gps.longitude,
+                        altitude: record.gps.altitude,
+                        angle: record.gps.angle
+                    },
+                    speedAtCrash: record.gps.speed,
+                    ignition: ignition ? ignition.value : null
+                });
+            }
+
+            if (trace && trace.value.length > 0) {
+                update.$push = {
+                    trace: { $each: [{ timestamp: record.timestamp, samples: trace.value }], $sort: { timestamp: 1 } }
+                };
+                update.$inc = { traceSamples: trace.value.length };
+                update.$max.peakG = peakG(trace.value);
+            }
+
+            const result = await collection.updateOne(
+                {
+                    imei,
+                    crashAt: { $lte: new Date(at.getTime() + MERGE_WINDOW_MS) },
+                    lastRecordAt: { $gte: new Date(at.getTime() - MERGE_WINDOW_MS) }
+                },
+                update,
+                { upsert: true }
+            );
+            if (result.upsertedCount > 0) opened++;
+            else updated++;
+        }
+
+        return { opened, updated };
+    } catch (err) {
+        log.error('records', `Error tracking incidents: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * GPS track, speed and ignition from the device's records around the crash
+ */
+async function buildTrack(db, incident) {
+    const from = new Date(incident.crashAt.getTime() - TRACK_BEFORE_MS);
+    const to = new Date(incident.lastRecordAt.getTime() + TRACK_AFTER_MS);
+
+    const records = await db.collection(getCollectionName('records', incident.modemType))
+        .find(
+            { 'meta.imei': incident.imei, timestamp: { $gte: from, $lte: to } },
+            { projection: { timestamp: 1, gps: 1, ignition: 1, obdVehicleSpeed: 1 } }
+        )
+        .sort({ timestamp: 1 })
+        .toArray();
+
+    const track = records.map(r => ({
+        timestamp: r.timestamp,
+        offsetSeconds: Math.round((new Date(r.timestamp) - incident.crashAt) / 1000),
+        latitude: r.gps?.latitude,
+        longitude: r.gps?.longitude,
+        speed: r.obdVehicleSpeed ?? r.gps?.speed ?? null,
+        ignition: r.ignition ?? null
+    }));
+
+    // Last known ignition state at the time of the crash
+    const beforeCrash = track.filter(p => p.offsetSeconds <= 0 && p.ignition !== null);
+    const ignitionAtCrash = beforeCrash.length > 0 ? beforeCrash[beforeCrash.length - 1].ignition : null;
+
+    return { track, trackFrom: from, trackTo: to, ignitionAtCrash };
+}
+
+/**
+ * Store the GPS track for incidents whose "after" window has passed
+ * Returns number of finalized incidents
+ */
+async function finalizeIncidents() {
+    const db = getDb();
+    if (!db) return 0;
+
+    const collection = db.collection('incidents');
+    const pending = await collection
+        .find({ trackComplete: false, lastRecordAt: { $lte: new Date(Date.now() - TRACK_AFTER_MS) } })
+        .toArray();
+
+    for (const incident of pending) {
+        const { track, trackFrom, trackTo, ignitionAtCrash } = await buildTrack(db, incident);
+        await collection.updateOne(
+            { _id: incident._id },
+            {
+                $set: {
+                    track,
+                    trackFrom,
+                    trackTo,
+                    trackComplete: true,
+                    ignition: incident.ignition ?? ignitionAtCrash,
+                    updatedAt: new Date()
+                }
+            }
+        );
+    }
+
+    return pending.length;
+}
+
+/**
+ * List incidents for device, newest first (without trace samples and track)
+ */
+async function listIncidents(imei, { limit = 50, skip = 0 } = {}) {
+    const db = getDb();
+    if (!db) return [];
+
+    return await db.collection('incidents')
+        .find({ imei }, { projection: { trace: 0, track: 0 } })
+        .sort({ crashAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+}
+
+/**
+ * Get full incident, the track is built on the fly until it is finalized
+ * Returns null for unknown or invalid ids
+ */
+async function getIncident(id) {
+    const db = getDb();
+    if (!db || !ObjectId.isValid(id)) return null;
+
+    const incident = await db.collection('incidents').findOne({ _id: new ObjectId(id) });
+    if (!incident || incident.trackComplete) return incident;
+
+    const { track, trackFrom, trackTo, ignitionAtCrash } = await buildTrack(db, incident);
+    return {
+        ...incident,
+        track,
+        trackFrom,
+        trackTo,
+        ignition: incident.ignition ?? ignitionAtCrash
+    };
+}
+
+module.exports = {
+    trackIncidents,
+    finalizeIncidents,
+    listIncidents,
+    getIncident,
+    CRASH_TYPES
+};
@@ -0,0 +1,165 @@
+/**
+ * Per-model IO element dictionaries
+ * Loaded from dictionaries/*.json (override directory with IO_DICTIONARY_DIR)
+ *
+ * File format:
+ * {
+ *   "model": "FMC003",
+ *   "extends": "FMC003",           // optional, inherit elements from another model
+ *   "elements": {
+ *     "66": { "name": "External Voltage", "field": "externalVoltage", "unit": "V", "multiplier": 0.001 },
+ *     "17": { "name": "Accelerometer X", "field": "accelerometerX", "unit": "mG", "signed": true },
+ *     "256": { "name": "VIN", "field": "vin", "type": "ascii" }
+ *   }
+ * }
+ *
+ * - field: MongoDB field name on the record document (omit to keep only in ioElements)
+ * - multiplier: engineering value = raw value * multiplier (default 1)
+ * - signed: two's complement for fixed-size values (default false)
+ * - type: value type of variable-length (NX) elements: 'ascii', 'dtc', 'beacon', 'crashtrace' or 'hex' (default 'hex')
+ *   'dtc' decodes to a list of trouble codes, engineering value adds SAE descriptions
+ *   'beacon' decodes to a list of iBeacon / Eddystone sightings
+ *   'crashtrace' decodes to accelerometer samples, engineering value is the sample count and peak g
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodeDtcList, describeDtc } = require('./dtc');
+const { decodeBeaconList } = require('./beacons');
+const { decodeCrashTrace, peakG } = require('./crash-trace');
+
+const DICTIONARY_DIR = process.env.IO_DICTIONARY_DIR || path.join(__dirname, 'dictionaries');
+const DEFAULT_MODEL = 'FMC003';
+
+let dictionaries = null;
+
+/**
+ * Load all dictionary files and resolve "extends"
+ */
+function loadDictionaries(dir = DICTIONARY_DIR) {
+    const files = {};
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+        const content = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+        if (!content.model || !content.elements) {
+            throw new Error(`Invalid IO dictionary ${file}: missing model or elements`);
+        }
+        files[content.model.toUpperCase()] = content;
+    }
+
+    const resolved = {};
+    const resolve = (model, chain = []) => {
+        if (resolved[model]) return resolved[model];
+        if (chain.includes(model)) {
+            throw new Error(`IO dictionary extends cycle: ${[...chain, model].join(' -> ')}`);
+        }
+
+        const content = files[model];
+        if (!content) {
+            throw new Error(`IO dictionary not found: ${model}`);
+        }
+
+        const base = content.extends ? resolve(content.extends.toUpperCase(), [...chain, model]) : {};
+        const elements = { ...base };
+        for (const [id, def] of Object.entries(content.elements)) {
+            elements[id] = { ...def };
+        }
+
+        resolved[model] = elements;
+        return elements;
+    };
+
+    for (const model of Object.keys(files)) {
+        resolve(model);
+    }
+
+    dictionaries = resolved;
+    return Object.keys(resolved);
+}
+
+/**
+ * Get element map for model (falls back to the default model)
+ */
+function getDictionary(model) {
+    if (!dictionaries) loadDictionaries();
+    const key = (model || DEFAULT_MODEL).toUpperCase();
+    return dictionaries[key] || dictionaries[DEFAULT_MODEL] || {};
+}
+
+/**
+ * Get definition for one IO element or null
+ */
+function getIODefinition(model, id) {
+    return getDictionary(model)[id] || null;
+}
+
+/**
+ * Interpret raw element bytes according to its definition
+ * @param {Object|null} def - Dictionary definition
+ * @param {Buffer} raw - Raw value bytes
+ * @param {boolean} variable - NX (variable-length) element
+ * @returns {{ value, engValue, unit, error? }} value is the raw (sign-corrected) value;
+ *   structured types that fail to parse fall back to hex with an error message
+ */
+function interpretValue(def, raw, variable = false) {
+    const unit = def && def.unit ? def.unit : null;
+
+    if (variable && def && def.type === 'dtc') {
+        const codes = decodeDtcList(raw);
+        return { value: codes, engValue: codes.map(describeDtc), unit };
+    }
+
+    if (variable && def && def.type === 'beacon') {
+        try {
+            const beacons = decodeBeaconList(raw);
+            return { value: beacons, engValue: beacons, unit };
+        } catch (err) {
+            return { value: raw.toString('hex'), engValue: null, unit, error: err.message };
+        }
+    }
+
+    if (variable && def && def.type === 'crashtrace') {
+        try {
+            const samples = decodeCrashTrace(raw);
+            return { value: samples, engValue: { samples: samples.length, peakG: peakG(samples) }, unit };
+        } catch (err) {
+            return { value: raw.toString('hex'), engValue: null, unit, error: err.message };
+        }
+    }
+
+    if (variable) {
+        const value = def && def.type === 'ascii'
+            ? raw.toString('ascii').replace(/\0/g, '')
+            : raw.toString('hex');
+        return { value, engValue: value, unit };
+    }
+
+    const signed = def ? def.signed === true : false;
+    let value;
+    if (raw.length === 8) {
+        const big = raw.readBigUInt64BE(0);
+        value = (signed ? BigInt.asIntN(64, big) : big).toString();
+    } else if (raw.length <= 6) {
+        value = signed ? raw.readIntBE(0, raw.length) : raw.readUIntBE(0, raw.length);
+    } else {
+        value = raw.toString('hex');
+    }
+
+    const multiplier = def && def.multiplier !== undefined ? def.multiplier : 1;
+    let engValue = value;
+    if (multiplier !== 1 && typeof value === 'number') {
+        // Round away floating point noise (e.g. 12345 * 0.001)
+        engValue = Math.round(value * multiplier * 1e6) / 1e6;
+    } else if (multiplier !== 1 && raw.length === 8) {
+        engValue = Math.round(Number(value) * multiplier * 1e6) / 1e6;
+    }
+
+    return { value, engValue, unit };
+}
+
+module.exports = {
+    loadDictionaries,
+    getDictionary,
+    getIODefinition,
+    interpretValue,
+    DEFAULT_MODEL
+};
@@ -0,0 +1,141 @@
+/**
+ * Connection flood protection for the TCP/TLS listeners
+ * Caps concurrent connections (total and per remote IP), bans IPs with too many failed
+ * logins per minute and counts every violation for GET /status
+ *
+ * Only failed logins (rejected IMEI, no IMEI within the login timeout) count towards the
+ * ban, so a fleet behind one carrier NAT reconnecting after a server restart is not banned
+ */
+
+const MAX_CONNECTIONS = parseInt(process.env.MAX_CONNECTIONS) || 5000;
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.MAX_CONNECTIONS_PER_IP) || 50;
+const MAX_FRAME_BYTES = parseInt(process.env.MAX_FRAME_BYTES) || 64 * 1024;
+const MAX_LOGIN_ATTEMPTS_PER_MINUTE = parseInt(process.env.MAX_LOGIN_ATTEMPTS_PER_MINUTE) || 10;
+const LOGIN_BAN_SECONDS = parseInt(process.env.LOGIN_BAN_SECONDS) || 600;
+const IDLE_TIMEOUT_SECONDS = parseInt(process.env.IDLE_TIMEOUT_SECONDS) || 1800;
+
+const LOGIN_WINDOW_MS = 60 * 1000;
+
+const openByIp = new Map();         // IP -> open connections
+const failedLogins = new Map();     // IP -> timestamps of failed logins within the window
+const bans = new Map();             // IP -> banned until (ms)
+let open = 0;
+
+const violations = {
+    maxConnections: 0,
+    maxConnectionsPerIp: 0,
+    banned: 0,
+    loginRate: 0,
+    frameSize: 0,
+    idle: 0
+};
+
+/**
+ * Count violation of kind (key of violations)
+ */
+function recordViolation(kind) {
+    violations[kind]++;
+}
+
+function isBanned(ip) {
+    const until = bans.get(ip);
+    if (!until) return false;
+    if (until > Date.now()) return true;
+    bans.delete(ip);
+    return false;
+}
+
+/**
+ * Admit new connection from IP
+ * Returns null when accepted (release it with releaseConnection) or the violation that refused it
+ */
+function acceptConnection(ip) {
+    let refused = null;
+    if (isBanned(ip)) {
+        refused = 'banned';
+    } else if (open >= MAX_CONNECTIONS) {
+        refused = 'maxConnections';
+    } else if ((openByIp.get(ip) || 0) >= MAX_CONNECTIONS_PER_IP) {
+        refused = 'maxConnectionsPerIp';
+    }
+
+    if (refused) {
+        recordViolation(refused);
+        return refused;
+    }
+
+    open++;
+    openByIp.set(ip, (openByIp.get(ip) || 0) + 1);
+    return null;
+}
+
+function releaseConnection(ip) {
+    open = Math.max(0, open - 1);
+    const count = (openByIp.get(ip) || 0) - 1;
+    if (count > 0) {
+        openByIp.set(ip, count);
+    } else {
+        openByIp.delete(ip);
+    }
+}
+
+/**
+ * Count failed login from IP
+ * Returns true when it exceeded the rate and the IP is now banned
+ */
+function recordFailedLogin(ip) {
+    const now = Date.now();
+    const attempts = (failedLogins.get(ip) || []).filter(t => t > now - LOGIN_WINDOW_MS);
+    attempts.push(now);
+    failedLogins.set(ip, attempts);
+
+    if (attempts.length <= MAX_LOGIN_ATTEMPTS_PER_MINUTE) return false;
+
+    bans.set(ip, now + LOGIN_BAN_SECONDS * 1000);
+    failedLogins.delete(ip);
+    recordViolation('loginRate');
+    return true;
+}
+
+/**
+ * Drop expired bans and login attempts outside the window
+ */
+function sweep() {
+    const now = Date.now();
+    for (const [ip, until] of bans) {
+        if (until <= now) bans.delete(ip);
+    }
+    for (const [ip, attempts] of failedLogins) {
+        if (!attempts.some(t => t > now - LOGIN_WINDOW_MS)) failedLogins.delete(ip);
+    }
+}
+
+setInterval(sweep, LOGIN_WINDOW_MS).unref();
+
+function status() {
+    return {
+        open,
+        limits: {
+            maxConnections: MAX_CONNECTIONS,
+            maxConnectionsPerIp: MAX_CONNECTIONS_PER_IP,
+            maxFrameBytes: MAX_FRAME_BYTES,
+            maxLoginAttemptsPerMinute: MAX_LOGIN_ATTEMPTS_PER_MINUTE,
+            loginBanSeconds: LOGIN_BAN_SECONDS,
+            idleTimeoutSeconds: IDLE_TIMEOUT_SECONDS
+        },
+        bans: [...bans.entries()]
+            .filter(([, until]) => until > Date.now())
+            .map(([ip, until]) => ({ ip, until: new Date(until) })),
+        violations: { ...violations }
+    };
+}
+
+module.exports = {
+    acceptConnection,
+    releaseConnection,
+    recordFailedLogin,
+    recordViolation,
+    status,
+    MAX_FRAME_BYTES,
+    IDLE_TIMEOUT_MS: IDLE_TIMEOUT_SECONDS * 1000
+};
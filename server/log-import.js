@@ -0,0 +1,312 @@
+/**
+ * Import telemetry data from the frame logs (logs/server) into MongoDB
+ * Parses raw HEX data from the frame logs and decodes using codec8
+ * Idempotent: records already stored under their key (imei, timestamp, priority, eventIoId) are skipped like in live ingest,
+ * raw frames already stored with the same IMEI, hex and log time are not stored again
+ *
+ * Frames are attributed per connection: the IMEI login frame of a client (ip:port) opens
+ * a session, its later RECV frames belong to that IMEI. [LOGIN] / [VIN] lines carry no
+ * client ID and are ignored. Frames of a client without a login in the logs (e.g. the log
+ * starts mid-connection) are reported as unattributed instead of guessed
+ *
+ * CLI: telem import logs [--dry-run] [--imei 864275079658715[,...]] [--from ...] [--to ...] [--dir logs/server]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { getDb, ensureDeviceIndexes } = require('./db');
+const { decodeCodec8, decodeUDP } = require('./codec8');
+const { getCollectionName, buildRecordDoc, insertRecordDocs, upsertDevice } = require('./models');
+const { markTripsDirty } = require('./trips');
+const log = require('./logger');
+
+// Same directory the server's frame log is written to
+const { LOGS_DIR } = log;
+
+const LINE_PATTERN = /^\[([^\]]+)\] (.*)$/;
+const RECV_PATTERN = /^← (UDP )?RECV (\S+) \(/;
+const LOGIN_REPLY_PATTERN = /^→ SEND (\S+) .*- LOGIN (N?ACK)/;
+const HEX_PATTERN = /HEX: ([0-9a-fA-F]+)/;
+
+/**
+ * Same document shape as the live server, flagged as imported
+ */
+function buildImportedRecordDoc(imei, vin, modemType, record) {
+    return {
+        ...buildRecordDoc(imei, vin, modemType, record),
+        importedFromLogs: true
+    };
+}
+
+/**
+ * Parser state carried across hourly files (connections span file boundaries)
+ */
+function createParseState() {
+    return {
+        connections: new Map(),     // clientId -> open session
+        sessions: [],               // { clientId, imei, loginAt, lastFrameAt, packets, rejected, vin }
+        unattributed: []            // { file, clientId, time, hex }
+    };
+}
+
+/**
+ * Parse one frame log file into packets attributed to their connection's IMEI
+ */
+function parseLogFile(filePath, state) {
+    // Finished hours are gzipped by the server's logger
+    const content = filePath.endsWith('.gz')
+        ? zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf-8')
+        : fs.readFileSync(filePath, 'utf-8');
+    const lines = content.split('\n');
+    const file = path.basename(filePath);
+
+    const packets = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].match(LINE_PATTERN);
+        if (!line) continue;
+        const [, time, message] = line;
+
+        // Login NACK ends the session - the server closes the connection
+        const reply = message.match(LOGIN_REPLY_PATTERN);
+        if (reply) {
+            const session = state.connections.get(reply[1]);
+            if (session && reply[2] === 'NACK') {
+                session.rejected = true;
+                state.connections.delete(reply[1]);
+            }
+            continue;
+        }
+
+        // RECV line followed by HEX line
+        const recv = message.match(RECV_PATTERN);
+        if (!recv || i + 1 >= lines.length) continue;
+        const hexMatch = lines[i + 1].match(HEX_PATTERN);
+        if (!hexMatch) continue;
+        i++;
+
+        const [, udp, clientId] = recv;
+        const hex = hexMatch[1].toLowerCase();
+
+        // UDP datagrams carry their own IMEI
+        if (udp) {
+            packets.push({ clientId, udp: true, imei: null, session: null, hex, time });
+            continue;
+        }
+
+        // IMEI login (length 000f for 15 byte IMEI) opens a new session for this client
+        if (hex.startsWith('000f') && hex.length === 34) {
+            const session = {
+                clientId,
+                imei: Buffer.from(hex.slice(4), 'hex').toString('ascii'),
+                loginAt: time,
+                lastFrameAt: time,
+                packets: 0,
+                rejected: false,
+                vin: null
+            };
+            state.connections.set(clientId, session);
+            state.sessions.push(session);
+            continue;
+        }
+
+        const session = state.connections.get(clientId);
+        if (!session) {
+            state.unattributed.push({ file, clientId, time, hex });
+            continue;
+        }
+
+        session.packets++;
+        session.lastFrameAt = time;
+        packets.push({ clientId, imei: session.imei, session, hex, time });
+    }
+
+    return packets;
+}
+
+/**
+ * Decode packet; fills packet.imei for UDP and the session VIN from IO 256
+ * Returns decoded frame or null (error reported through onError, counted by caller)
+ */
+function decodePacket(packet, model, onError) {
+    const buffer = Buffer.from(packet.hex, 'hex');
+    const decoded = packet.udp ? decodeUDP(buffer, { model }) : decodeCodec8(buffer, { model });
+    if (decoded.error) {
+        onError(`Decode error (${packet.clientId} ${packet.time}): ${decoded.error}`);
+        return null;
+    }
+
+    if (packet.udp) {
+        packet.imei = decoded.imei;
+    }
+
+    const vinElement = (decoded.avlRecords || [])
+        .map(r => r.io.elements.find(e => e.id === 256))
+        .find(Boolean);
+    if (vinElement) {
+        if (packet.session) packet.session.vin = vinElement.value;
+        packet.vin = vinElement.value;
+    } else if (packet.session) {
+        packet.vin = packet.session.vin;
+    }
+
+    return decoded;
+}
+
+/**
+ * Decode packets and store them; with dryRun only counts what would be imported
+ * Options:
+ *   imeis     - optional Set of IMEIs to import, other packets are skipped
+ *   modemType - collections / IO dictionary; default: the registered device's, else FMC003
+ *   onError   - onError(message) for packets that fail to decode or store; default: the logger
+ * Returns per-IMEI stats: { [imei]: { packets, records, imported, skipped, errors } }
+ */
+async function importPackets(packets, { dryRun = false, imeis = null, modemType = null, onError = message => log.warn('records', message) } = {}) {
+    const db = getDb();
+    if (!db && !dryRun) throw new Error('Database unavailable');
+
+    const stats = {};
+    const statsFor = imei => {
+        if (!stats[imei]) stats[imei] = { packets: 0, records: 0, imported: 0, skipped: 0, errors: 0 };
+        return stats[imei];
+    };
+
+    // IMEI -> modem type (one device lookup per IMEI)
+    const modemTypes = new Map();
+    const modemTypeFor = async imei => {
+        if (modemType) return modemType;
+        if (!imei || !db) return 'FMC003';
+        if (!modemTypes.has(imei)) {
+            const device = await db.collection('devices').findOne({ imei });
+            modemTypes.set(imei, device && device.modemType ? device.modemType : 'FMC003');
+        }
+        return modemTypes.get(imei);
+    };
+
+    for (const packet of packets) {
+        // UDP datagrams are decoded before their IMEI is known
+        const decoded = decodePacket(packet, await modemTypeFor(packet.imei), onError);
+        if (!decoded) {
+            if (!imeis || imeis.has(packet.imei)) statsFor(packet.imei || 'unknown').errors++;
+            continue;
+        }
+
+        // Codec 12 / 13 / 14 command responses carry no AVL records
+        if (decoded.messages) {
+            continue;
+        }
+
+        if (imeis && !imeis.has(packet.imei)) {
+            continue;
+        }
+
+        const stat = statsFor(packet.imei);
+        stat.packets++;
+        stat.records += decoded.avlRecords.length;
+
+        if (dryRun) {
+            continue;
+        }
+
+        try {
+            const type = await modemTypeFor(packet.imei);
+
+            // Save raw data with the log line's receive time - a frame stored by the live server
+            // (received a few ms off the log line) or by an earlier run is not stored again
+            await db.collection(getCollectionName('raw', type)).updateOne(
+                { imei: packet.imei, rawHex: packet.hex },
+                {
+                    $setOnInsert: {
+                        vin: packet.vin || null,
+                        modemType: type,
+                        timestamp: new Date(packet.time),
+                        importedFromLogs: true
+                    }
+                },
+                { upsert: true }
+            );
+
+            // Records already stored (by the live server or an earlier import) are skipped
+            const docs = decoded.avlRecords.map(record => buildImportedRecordDoc(packet.imei, packet.vin, type, record));
+            const saved = await insertRecordDocs(type, docs);
+            stat.imported += saved.inserted;
+            stat.skipped += saved.duplicates;
+
+            await upsertDevice(packet.imei, packet.vin, type);
+            await markTripsDirty(packet.imei, saved.insertedIndexes.map(i => docs[i]));
+        } catch (err) {
+            onError(`Error processing packet (${packet.clientId} ${packet.time}): ${err.message}`);
+            stat.errors++;
+        }
+    }
+
+    return stats;
+}
+
+function addStats(total, stats) {
+    for (const [imei, stat] of Object.entries(stats)) {
+        if (!total[imei]) total[imei] = { packets: 0, records: 0, imported: 0, skipped: 0, errors: 0 };
+        for (const key of Object.keys(stat)) total[imei][key] += stat[key];
+    }
+}
+
+/**
+ * Frame log files in time order (finished hours are gzipped)
+ */
+function listLogFiles(dir) {
+    return fs.readdirSync(dir)
+        .filter(f => f.endsWith('.txt') || f.endsWith('.txt.gz'))
+        .sort((a, b) => a.replace(/\.gz$/, '').localeCompare(b.replace(/\.gz$/, '')));
+}
+
+/**
+ * Import all frame logs of a directory
+ * Options: dir, imeis (Set), modemType, from / to (log line time), dryRun,
+ *          onFile({ file, packets, stats }) after each file, onError(message) as for importPackets
+ * Returns { files, stats (per IMEI), sessions, unattributed (per client ID) }
+ */
+async function importLogs({ dir = LOGS_DIR, imeis = null, modemType = null, from = null, to = null, dryRun = false, onFile = null, onError } = {}) {
+    const files = listLogFiles(dir);
+    const fromTime = from ? new Date(from) : null;
+    const toTime = to ? new Date(to) : null;
+
+    if (!dryRun) {
+        await ensureDeviceIndexes(modemType || 'FMC003');
+    }
+
+    // Sessions stay open across files (hourly rotation splits connections)
+    const state = createParseState();
+    const total = {};
+
+    for (const file of files) {
+        // Logins before the window still attribute the frames inside it
+        const packets = parseLogFile(path.join(dir, file), state).filter(packet => {
+            const time = new Date(packet.time);
+            return (!fromTime || time >= fromTime) && (!toTime || time <= toTime);
+        });
+
+        const stats = packets.length > 0 ? await importPackets(packets, { dryRun, imeis, modemType, onError }) : {};
+        addStats(total, stats);
+        if (onFile) onFile({ file, packets: packets.length, stats });
+    }
+
+    // Not guessed: the connection's login is not in the logs
+    const unattributed = {};
+    for (const frame of state.unattributed) {
+        const entry = unattributed[frame.clientId] || (unattributed[frame.clientId] = { frames: 0, first: frame.time, last: frame.time, file: frame.file });
+        entry.frames++;
+        entry.last = frame.time;
+    }
+
+    return {
+        files: files.length,
+        stats: total,
+        sessions: state.sessions
+            .filter(s => !imeis || imeis.has(s.imei))
+            .map(({ clientId, imei, loginAt, lastFrameAt, packets, rejected, vin }) => ({ clientId, imei, loginAt, lastFrameAt, packets, rejected, vin })),
+        unattributed
+    };
+}
+
+module.exports = { LOGS_DIR, createParseState, parseLogFile, importPackets, importLogs };
@@ -0,0 +1,218 @@
+/**
+ * Structured JSON-lines logger with levels and per-category toggles
+ * Lines go to buffered write streams (never blocks the event loop), files rotate hourly,
+ * finished hours are gzipped and deleted after LOG_RETENTION_DAYS
+ *
+ * logs/server/YYYY-MM-DD_HH.jsonl  { ts, level, category, msg, ...fields }
+ * logs/server/YYYY-MM-DD_HH.txt    frame log: LOGIN / RECV / SEND / HEX / VIN lines (read by `telem import logs`)
+ *
+ * LOG_LEVEL=info                              debug | info | warn | error
+ * LOG_CATEGORIES=frames=debug,records=off     per-category level
+ * LOG_CONSOLE=false                           no console output
+ * LOG_RETENTION_DAYS=30
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: 100 };
+
+const LOGS_DIR = process.env.LOGS_DIR || path.join(__dirname, 'logs', 'server');
+const DEFAULT_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const CATEGORY_LEVELS = parseCategories(process.env.LOG_CATEGORIES || '');
+const RETENTION_DAYS = parseInt(process.env.LOG_RETENTION_DAYS) || 30;
+// Lines are dropped (and counted) while this much is still waiting for the disk
+const MAX_BUFFER_BYTES = parseInt(process.env.LOG_MAX_BUFFER_BYTES) || 8 * 1024 * 1024;
+
+// ext -> { hour, file, stream } for the current hour
+const outputs = {};
+// Files being flushed or compressed
+const closing = new Set();
+let dropped = 0;
+let maintenanceTimer = null;
+let consoleStream = process.env.LOG_CONSOLE === 'false' ? null : process.stdout;
+
+/**
+ * "frames=debug,records=off" -> { frames: 10, records: 100 }
+ */
+function parseCategories(spec) {
+    const levels = {};
+    for (const part of spec.split(',')) {
+        const [category, level] = part.split('=').map(s => s && s.trim());
+        if (category && LEVELS[level] !== undefined) {
+            levels[category] = LEVELS[level];
+        }
+    }
+    return levels;
+}
+
+/**
+ * Hourly file key in local time (same naming as before: 2026-01-15_14)
+ */
+function hourKey(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    const h = String(date.getHours()).padStart(2, '0');
+    return `${y}-${m}-${d}_${h}`;
+}
+
+/**
+ * Gzip finished log file and remove the original
+ */
+function compress(file) {
+    closing.add(file);
+    pipeline(
+        fs.createReadStream(file),
+        zlib.createGzip(),
+        fs.createWriteStream(`${file}.gz`),
+        err => {
+            closing.delete(file);
+            if (err) {
+                console.error(`Error compressing ${path.basename(file)}: ${err.message}`);
+                return;
+            }
+            fs.unlink(file, () => {});
+        }
+    );
+}
+
+/**
+ * Flush and close stream of a finished hour, then compress it
+ */
+function finish(output) {
+    closing.add(output.file);
+    output.stream.end(() => compress(output.file));
+}
+
+function rotate(ext, hour) {
+    if (outputs[ext]) {
+        finish(outputs[ext]);
+    }
+
+    fs.mkdirSync(LOGS_DIR, { recursive: true });
+    const file = path.join(LOGS_DIR, `${hour}.${ext}`);
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', err => console.error(`Log write error (${path.basename(file)}): ${err.message}`));
+    outputs[ext] = { hour, file, stream };
+    return outputs[ext];
+}
+
+function write(ext, line) {
+    const hour = hourKey(new Date());
+    let output = outputs[ext];
+    if (!output || output.hour !== hour) {
+        output = rotate(ext, hour);
+    }
+
+    if (output.stream.writableLength > MAX_BUFFER_BYTES) {
+        dropped++;
+        return;
+    }
+    output.stream.write(line);
+}
+
+/**
+ * Compress leftovers from earlier runs and delete files past retention
+ */
+function maintain() {
+    if (!fs.existsSync(LOGS_DIR)) return;
+
+    const now = new Date();
+    const current = hourKey(now);
+    const cutoff = now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    // Close idle streams of past hours
+    for (const ext of Object.keys(outputs)) {
+        if (outputs[ext].hour !== current) {
+            finish(outputs[ext]);
+            delete outputs[ext];
+        }
+    }
+
+    for (const name of fs.readdirSync(LOGS_DIR)) {
+        const file = path.join(LOGS_DIR, name);
+        const match = name.match(/^(\d{4}-\d{2}-\d{2}_\d{2})\.(txt|jsonl)(\.gz)?$/);
+        if (!match) continue;
+
+        fs.stat(file, (err, stat) => {
+            if (err) return;
+            if (stat.mtimeMs < cutoff) {
+                fs.unlink(file, () => {});
+            } else if (!match[3] && match[1] !== current && !closing.has(file)) {
+                compress(file);
+            }
+        });
+    }
+}
+
+function startMaintenance() {
+    if (maintenanceTimer) return;
+    maintain();
+    maintenanceTimer = setInterval(maintain, 10 * 60 * 1000);
+    maintenanceTimer.unref();
+}
+
+/**
+ * Would a message of this level / category be written
+ * (skip building expensive messages such as per-element record dumps)
+ */
+function isEnabled(level, category) {
+    const min = CATEGORY_LEVELS[category] !== undefined ? CATEGORY_LEVELS[category] : DEFAULT_LEVEL;
+    return LEVELS[level] >= min;
+}
+
+/**
+ * Write structured entry
+ * @param {string} level - debug | info | warn | error
+ * @param {string} category - e.g. frames, records, db, auth, conn, commands, udp, server
+ * @param {string} msg - Human readable message
+ * @param {Object} fields - Extra structured fields
+ */
+function log(level, category, msg, fields = {}) {
+    if (!isEnabled(level, category)) return;
+    startMaintenance();
+
+    const ts = new Date().toISOString();
+    const entry = { ts, level, category, msg, ...fields };
+    if (dropped > 0) {
+        entry.droppedBefore = dropped;
+        dropped = 0;
+    }
+
+    write('jsonl', JSON.stringify(entry) + '\n');
+
+    if (consoleStream) {
+        const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+        consoleStream.write(`[${ts}] ${level.toUpperCase().padEnd(5)} [${category}] ${msg}${extra}\n`);
+    }
+}
+
+/**
+ * Send console output to another stream (null: none) - the CLI keeps stdout for its results
+ */
+function setConsole(stream) {
+    consoleStream = stream;
+}
+
+/**
+ * Append line to the text frame log (always on - it is the replay source for `telem import logs`)
+ */
+function frame(message) {
+    startMaintenance();
+    write('txt', `[${new Date().toISOString()}] ${message}\n`);
+}
+
+module.exports = {
+    log,
+    debug: (category, msg, fields) => log('debug', category, msg, fields),
+    info: (category, msg, fields) => log('info', category, msg, fields),
+    warn: (category, msg, fields) => log('warn', category, msg, fields),
+    error: (category, msg, fields) => log('error', category, msg, fields),
+    frame,
+    isEnabled,
+    setConsole,
+    LOGS_DIR
+};
@@ -1,4 +1,9 @@
 const { getDb } = require('./db');
+const { getIODefinition } = require('./io-dictionary');
+const log = require('./logger');
+
+// Acknowledged by the majority of the replica set and written to the journal
+const DURABLE_WRITE_CONCERN = { w: 'majority', j: true };
 
 /**
  * Get collection name based on device type
@@ -10,76 +15,150 @@ function getCollectionName(prefix, modemType) {
 
 /**
  * Save raw telemetry data to device-specific collection
+ * options: insert options, e.g. { writeConcern: DURABLE_WRITE_CONCERN },
+ * plus receivedAt for frames stored later than they arrived (spool replay)
  */
-async function saveRawData(imei, vin, rawHex, modemType = 'FMC003') {
+async function saveRawData(imei, vin, rawHex, modemType = 'FMC003', options = {}) {
     const db = getDb();
     if (!db) return null;
 
+    const { receivedAt, ...insertOptions } = options;
     const collection = getCollectionName('raw', modemType);
     const doc = {
         imei,
         vin: vin || null,
         modemType,
         rawHex,
-        timestamp: new Date()
+        timestamp: receivedAt || new Date()
     };
 
     try {
-        const result = await db.collection(collection).insertOne(doc);
+        const result = await db.collection(collection).insertOne(doc, insertOptions);
         return result.insertedId;
     } catch (err) {
-        console.error('Error saving raw data:', err);
+        log.error('db', `Error saving raw data: ${err.message}`);
         return null;
     }
 }
 
+// A record is identified by device, time and the event that generated it
+// (a device can log several records with the same timestamp, e.g. periodic + eventual)
+const RECORD_KEY_FIELDS = ['imei', 'timestamp', 'priority', 'eventIoId'];
+
 /**
- * Save normalized/parsed telemetry record to device-specific collection
+ * Record key as string, the _id in record_keys_<type>
  */
-async function saveRecord(imei, vin, modemType, record) {
-    const db = getDb();
-    if (!db) return null;
-
-    const collection = getCollectionName('records', modemType);
-    const doc = buildRecordDoc(imei, vin, modemType, record);
+function recordKeyString(doc) {
+    return `${doc.imei}|${new Date(doc.timestamp).getTime()}|${doc.priority}|${doc.eventIoId}`;
+}
 
+/**
+ * Claim record keys in record_keys_<type> (regular collection, the key string is the _id)
+ * Returns per key document whether it was claimed - false if another write stored it first.
+ * On any other error the keys claimed here are released again and the error is thrown
+ */
+async function claimRecordKeys(keys, keyDocs, options) {
     try {
-        const result = await db.collection(collection).insertOne(doc);
-        return result.insertedId;
+        await keys.insertMany(keyDocs, { ...options, ordered: false });
+        return keyDocs.map(() => true);
     } catch (err) {
-        console.error('Error saving record:', err);
-        return null;
+        const writeErrors = [].concat(err.writeErrors || []);
+        const taken = new Set(writeErrors.filter(e => e.code === 11000).map(e => e.index));
+        if (writeErrors.length > 0 && writeErrors.every(e => e.code === 11000)) {
+            return keyDocs.map((doc, i) => !taken.has(i));
+        }
+
+        const claimed = keyDocs.filter((doc, i) => !taken.has(i)).map(doc => doc._id);
+        await keys.deleteMany({ _id: { $in: claimed } }).catch(() => {});
+        throw err;
+    }
+}
+
+/**
+ * Insert record documents that are not stored yet, in one unordered insert
+ * Time-series collections have no unique indexes: each record's key is inserted into
+ * record_keys_<type> (unique _id) first and the record is only written if its key was new,
+ * so concurrent writers (UDP datagrams, two sockets of one IMEI, spool replay) cannot store
+ * a record twice. A record already stored (resent after a lost ACK) or repeated within docs
+ * is left out and counted as duplicate. Keys of records that failed to insert are released
+ * Returns { inserted, duplicates, insertedIndexes } - indexes into docs of the new records
+ */
+async function insertRecordDocs(modemType, docs, options = {}) {
+    if (docs.length === 0) return { inserted: 0, duplicates: 0, insertedIndexes: [] };
+
+    const db = getDb();
+    const keys = db.collection(getCollectionName('record_keys', modemType));
+
+    // Keys repeated within docs count once
+    const seen = new Set();
+    const candidates = [];
+    docs.forEach((doc, i) => {
+        const key = recordKeyString(doc);
+        if (seen.has(key)) return;
+        seen.add(key);
+        candidates.push(i);
+    });
+
+    const claimed = await claimRecordKeys(keys, candidates.map(i => ({
+        _id: recordKeyString(docs[i]),
+        imei: docs[i].imei,
+        timestamp: docs[i].timestamp
+    })), options);
+    const insertedIndexes = candidates.filter((i, n) => claimed[n]);
+
+    if (insertedIndexes.length > 0) {
+        const newDocs = insertedIndexes.map(i => docs[i]);
+        try {
+            await db.collection(getCollectionName('records', modemType)).insertMany(newDocs, { ...options, ordered: false });
+        } catch (err) {
+            // Release the keys of records not written, so the resent records are stored
+            const written = new Set(Object.keys(err.insertedIds || {}).map(Number));
+            const released = newDocs.filter((doc, n) => !written.has(n)).map(recordKeyString);
+            await keys.deleteMany({ _id: { $in: released } }).catch(() => {});
+            throw err;
+        }
     }
+
+    return {
+        inserted: insertedIndexes.length,
+        duplicates: docs.length - insertedIndexes.length,
+        insertedIndexes
+    };
 }
 
 /**
- * Save multiple records at once to device-specific collection
+ * Save multiple records at once to device-specific collection (idempotent, see insertRecordDocs)
+ * options: insert options, e.g. { writeConcern: DURABLE_WRITE_CONCERN }
+ * Returns { inserted, duplicates, insertedIndexes } or null if the write failed
  */
-async function saveRecords(imei, vin, modemType, records) {
+async function saveRecords(imei, vin, modemType, records, options = {}) {
     const db = getDb();
     if (!db) return null;
 
-    const collection = getCollectionName('records', modemType);
     const docs = records.map(record => buildRecordDoc(imei, vin, modemType, record));
 
     try {
-        const result = await db.collection(collection).insertMany(docs);
-        return result.insertedIds;
+        return await insertRecordDocs(modemType, docs, options);
     } catch (err) {
-        console.error('Error saving records:', err);
+        log.error('db', `Error saving records: ${err.message}`);
         return null;
     }
 }
 
 /**
  * Build record document with all IO elements as named fields
+ * Named fields keep the raw value (e.g. mV), engineering values
+ * (scaled, with units from the IO dictionary) go under `engineering`
+ * `meta` is the time-series metaField (queries filter on meta.imei); imei / modemType
+ * are kept top-level too so API responses keep their shape
  */
 function buildRecordDoc(imei, vin, modemType, record) {
     const doc = {
+        meta: { imei, modemType },
         imei,
         vin: vin || null,
         modemType,
-        timestamp: record.timestamp,
+        timestamp: new Date(record.timestamp),
         priority: record.priority,
 
         // GPS data
@@ -101,17 +180,28 @@ function buildRecordDoc(imei, vin, modemType, record) {
             id: e.id,
             name: e.name,
             value: e.value,
-            size: e.size
+            engValue: e.engValue,
+            unit: e.unit || null,
+            size: e.size,
+            ...(e.error ? { error: e.error } : {})
         })),
 
+        engineering: {},
+
         createdAt: new Date()
     };
 
-    // Add named fields for common/important IO elements (FMC003)
+    if (record.io.generationType !== undefined) {
+        doc.generationType = record.io.generationType;
+    }
+
+    // Add named fields for IO elements that have a field name in the model dictionary
     for (const elem of record.io.elements) {
-        const fieldName = ioIdToFieldName(elem.id);
-        if (fieldName) {
+        const fieldName = elem.field || ioIdToFieldName(modemType, elem.id);
+        // Unparseable structured values stay in ioElements (as hex) only
+        if (fieldName && !elem.error) {
             doc[fieldName] = elem.value;
+            doc.engineering[fieldName] = elem.engValue !== undefined ? elem.engValue : elem.value;
         }
     }
 
@@ -119,77 +209,27 @@ function buildRecordDoc(imei, vin, modemType, record) {
 }
 
 /**
- * Map IO IDs to MongoDB field names (FMC003 specific)
+ * Map IO ID to MongoDB field name from the model's IO dictionary
  */
-function ioIdToFieldName(id) {
-    const fieldMap = {
-        // Core telemetry
-        12: 'fuelUsedGps',
-        13: 'fuelRateGps',
-        16: 'totalOdometer',
-        21: 'gsmSignal',
-        24: 'speedIO',
-        66: 'externalVoltage',
-        67: 'batteryVoltage',
-        68: 'batteryCurrent',
-        69: 'gnssStatus',
-        113: 'batteryLevel',
-        181: 'gnssPdop',
-        182: 'gnssHdop',
-        199: 'tripOdometer',
-        200: 'sleepMode',
-        205: 'gsmCellId',
-        206: 'gsmAreaCode',
-        237: 'networkType',
-        239: 'ignition',
-        240: 'movement',
-        241: 'gsmOperator',
-        256: 'vin',
-
-        // OBD parameters
-        30: 'obdDtcCount',
-        31: 'obdEngineLoad',
-        32: 'obdCoolantTemp',
-        33: 'obdShortFuelTrim',
-        34: 'obdFuelPressure',
-        35: 'obdIntakeMap',
-        36: 'obdEngineRpm',
-        37: 'obdVehicleSpeed',
-        38: 'obdTimingAdvance',
-        39: 'obdIntakeAirTemp',
-        40: 'obdMaf',
-        41: 'obdThrottlePosition',
-        42: 'obdRuntimeSinceStart',
-        43: 'obdDistanceWithMil',
-        48: 'obdFuelLevel',
-        49: 'obdDistanceSinceCleared',
-        50: 'obdBarometricPressure',
-        51: 'obdControlModuleVoltage',
-        53: 'obdAmbientAirTemp',
-        58: 'obdEngineOilTemp',
-        60: 'obdFuelRate',
-
-        // OBD Totals
-        389: 'obdTotalMileage',
-        390: 'obdFuelLevelInput',
-
-        // Driver behavior
-        243: 'greenDrivingDuration',
-        253: 'greenDrivingValue',
-        246: 'towingDetection',
-        247: 'crashDetection',
-        249: 'jammingDetection',
-        250: 'tripEvent',
-        251: 'idlingEvent',
-        252: 'unplugEvent',
-        254: 'overspeedingEvent',
-
-        // Accelerometer
-        17: 'accelerometerX',
-        18: 'accelerometerY',
-        19: 'accelerometerZ',
+function ioIdToFieldName(modemType, id) {
+    const def = getIODefinition(modemType, id);
+    return def && def.field ? def.field : null;
+}
+
+/**
+ * Build whitelist entry for a newly registered device
+ */
+function newDeviceDoc(imei, { modemType, carBrand, carModel, plateNumber, notes } = {}) {
+    return {
+        imei,
+        modemType: modemType || 'FMC003',
+        carBrand: carBrand || null,
+        carModel: carModel || null,
+        plateNumber: plateNumber || null,
+        notes: notes || null,
+        approved: true,
+        createdAt: new Date()
     };
-    return fieldMap[id] || null;
 }
 
 /**
@@ -224,7 +264,30 @@ async function upsertDevice(imei, vin, modemType, extraData = {}) {
         );
         return result.upsertedId || imei;
     } catch (err) {
-        console.error('Error upserting device:', err);
+        log.error('db', `Error upserting device: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Count a rejected (corrupted) frame against the device
+ * Keeps total and per-code counters, e.g. integrityErrors.crc_mismatch
+ */
+async function recordIntegrityError(imei, code) {
+    const db = getDb();
+    if (!db) return null;
+
+    try {
+        const result = await db.collection('devices').updateOne(
+            { imei },
+            {
+                $inc: { 'integrityErrors.total': 1, [`integrityErrors.${code}`]: 1 },
+                $set: { lastIntegrityError: { code, at: new Date() } }
+            }
+        );
+        return result.modifiedCount > 0;
+    } catch (err) {
+        log.error('db', `Error recording integrity error: ${err.message}`);
         return null;
     }
 }
@@ -239,7 +302,7 @@ async function getDevice(imei) {
     try {
         return await db.collection('devices').findOne({ imei });
     } catch (err) {
-        console.error('Error getting device:', err);
+        log.error('db', `Error getting device: ${err.message}`);
         return null;
     }
 }
@@ -258,17 +321,38 @@ async function updateDeviceInfo(imei, info) {
         );
         return result.modifiedCount > 0;
     } catch (err) {
-        console.error('Error updating device:', err);
+        log.error('db', `Error updating device: ${err.message}`);
         return null;
     }
 }
 
+/**
+ * Approve or revoke device, returns the updated device or null when not registered
+ */
+async function setDeviceApproval(imei, approved) {
+    const db = getDb();
+    if (!db) return null;
+
+    return await db.collection('devices').findOneAndUpdate(
+        { imei },
+        { $set: { approved: approved !== false, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+}
+
 module.exports = {
     saveRawData,
-    saveRecord,
     saveRecords,
+    newDeviceDoc,
     upsertDevice,
+    recordIntegrityError,
     getDevice,
     updateDeviceInfo,
-    getCollectionName
+    setDeviceApproval,
+    getCollectionName,
+    buildRecordDoc,
+    insertRecordDocs,
+    recordKeyString,
+    RECORD_KEY_FIELDS,
+    DURABLE_WRITE_CONCERN
 };
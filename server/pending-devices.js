@@ -0,0 +1,155 @@
+/**
+ * Login attempts from unknown IMEIs (`pending_devices` collection)
+ * and optional auto-registration by IMEI TAC prefix per modem type
+ *
+ * AUTO_REGISTER_TACS="FMC003=86427507,86427508;FMB920=35209"
+ * registers unknown IMEIs starting with one of the prefixes as approved devices
+ */
+
+const { getDb } = require('./db');
+const { newDeviceDoc } = require('./models');
+const log = require('./logger');
+
+const AUTO_REGISTER = parseAutoRegister(process.env.AUTO_REGISTER_TACS || '');
+
+/**
+ * Parse policy into [{ modemType, prefix }], longest prefix first
+ */
+function parseAutoRegister(spec) {
+    const rules = [];
+    for (const part of spec.split(';')) {
+        const [modemType, prefixes] = part.split('=').map(s => s && s.trim());
+        if (!modemType || !prefixes) continue;
+        for (const prefix of prefixes.split(',').map(p => p.trim()).filter(p => /^\d+$/.test(p))) {
+            rules.push({ modemType, prefix });
+        }
+    }
+    return rules.sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+/**
+ * Modem type to auto-register IMEI as, or null
+ */
+function autoRegisterModemType(imei) {
+    const rule = AUTO_REGISTER.find(r => imei.startsWith(r.prefix));
+    return rule ? rule.modemType : null;
+}
+
+/**
+ * Record rejected login of an unknown IMEI
+ * transport: 'tcp' | 'tls' | 'udp'
+ */
+async function recordLoginAttempt(imei, { remoteAddress, transport }) {
+    const db = getDb();
+    if (!db) return null;
+
+    const now = new Date();
+    try {
+        const result = await db.collection('pending_devices').updateOne(
+            { imei },
+            {
+                $set: { lastAttempt: now, remoteAddress, transport },
+                $inc: { attempts: 1 },
+                $setOnInsert: { imei, tac: imei.slice(0, 8), firstAttempt: now }
+            },
+            { upsert: true }
+        );
+        return result.upsertedCount > 0 || result.modifiedCount > 0;
+    } catch (err) {
+        log.error('auth', `Error recording login attempt: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Register unknown IMEI if the auto-register policy covers it
+ * Returns the new device or null
+ */
+async function autoRegister(imei, remoteAddress) {
+    const db = getDb();
+    const modemType = autoRegisterModemType(imei);
+    if (!db || !modemType) return null;
+
+    const device = {
+        ...newDeviceDoc(imei, { modemType }),
+        autoRegistered: true,
+        registeredFrom: remoteAddress
+    };
+
+    try {
+        await db.collection('devices').insertOne(device);
+        await db.collection('pending_devices').deleteOne({ imei });
+        return device;
+    } catch (err) {
+        // Registered concurrently (e.g. second login attempt) - use the existing entry
+        if (err.code === 11000) {
+            return await db.collection('devices').findOne({ imei });
+        }
+        log.error('auth', `Error auto-registering device: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Register pending IMEI as approved device
+ * info: modemType (default: auto-register policy, then FMC003), carBrand, carModel, plateNumber, notes
+ * Returns { device, created } - created false when the IMEI was already registered - or null when not pending
+ */
+async function approvePendingDevice(imei, { modemType, carBrand, carModel, plateNumber, notes } = {}) {
+    const db = getDb();
+    if (!db) return null;
+
+    const pending = await db.collection('pending_devices').findOne({ imei });
+    if (!pending) return null;
+
+    const existing = await db.collection('devices').findOne({ imei });
+    if (existing) {
+        await db.collection('pending_devices').deleteOne({ imei });
+        return { device: existing, created: false };
+    }
+
+    const device = {
+        ...newDeviceDoc(imei, {
+            modemType: modemType || autoRegisterModemType(imei),
+            carBrand,
+            carModel,
+            plateNumber,
+            notes
+        }),
+        firstAttempt: pending.firstAttempt
+    };
+
+    try {
+        await db.collection('devices').insertOne(device);
+    } catch (err) {
+        // Registered concurrently (auto-register, POST /devices) - same answer as registered before
+        if (err.code !== 11000) throw err;
+        await db.collection('pending_devices').deleteOne({ imei });
+        return { device: await db.collection('devices').findOne({ imei }), created: false };
+    }
+    await db.collection('pending_devices').deleteOne({ imei });
+    return { device, created: true };
+}
+
+/**
+ * List pending devices, most recent attempt first
+ */
+async function listPendingDevices({ limit = 100, skip = 0 } = {}) {
+    const db = getDb();
+    if (!db) return [];
+
+    return await db.collection('pending_devices')
+        .find({})
+        .sort({ lastAttempt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+}
+
+module.exports = {
+    recordLoginAttempt,
+    autoRegister,
+    autoRegisterModemType,
+    approvePendingDevice,
+    listPendingDevices
+};
@@ -0,0 +1,257 @@
+/**
+ * Consistency checks, duplicate cleanup and time-series migration for records_<type>
+ * A duplicate is a second record with the same key (imei, timestamp, priority, eventIoId),
+ * stored before ingest claimed record keys (record_keys_<type>)
+ */
+
+const { getDb, ensureDeviceIndexes } = require('./db');
+const { getCollectionName, insertRecordDocs, recordKeyString, RECORD_KEY_FIELDS } = require('./models');
+
+const DUPLICATE_SAMPLES = 10;
+const MIGRATION_BATCH = 1000;
+
+/**
+ * Query for records of devices (IMEI or list of IMEIs) and time window (record timestamps)
+ */
+function recordsQuery({ imei = null, from = null, to = null } = {}) {
+    const query = {};
+    if (imei) query['meta.imei'] = Array.isArray(imei) ? { $in: imei } : imei;
+    if (from || to) {
+        query.timestamp = {};
+        if (from) query.timestamp.$gte = new Date(from);
+        if (to) query.timestamp.$lte = new Date(to);
+    }
+    return query;
+}
+
+/**
+ * Groups of records sharing their key, largest first
+ * Each group keeps the IDs in insertion order: the first one is the original
+ */
+async function findDuplicates(modemType, filter = {}, { limit = null } = {}) {
+    const db = getDb();
+    if (!db) return [];
+
+    const pipeline = [
+        { $match: recordsQuery(filter) },
+        { $sort: { _id: 1 } },
+        {
+            $group: {
+                _id: Object.fromEntries(RECORD_KEY_FIELDS.map(field => [field, `$${field}`])),
+                count: { $sum: 1 },
+                ids: { $push: '$_id' }
+            }
+        },
+        { $match: { count: { $gt: 1 } } },
+        { $sort: { count: -1 } }
+    ];
+    if (limit) pipeline.push({ $limit: limit });
+
+    return await db.collection(getCollectionName('records', modemType))
+        .aggregate(pipeline, { allowDiskUse: true })
+        .toArray();
+}
+
+/**
+ * Record count, date range, imported records and duplicates
+ * filter: { imei, from, to }
+ */
+async function checkRecords(modemType, filter = {}) {
+    const db = getDb();
+    if (!db) return null;
+
+    const collectionName = getCollectionName('records', modemType);
+    const collection = db.collection(collectionName);
+    const query = recordsQuery(filter);
+
+    const duplicates = await findDuplicates(modemType, filter);
+    const oldest = await collection.findOne(query, { sort: { timestamp: 1 }, projection: { timestamp: 1 } });
+    const newest = await collection.findOne(query, { sort: { timestamp: -1 }, projection: { timestamp: 1 } });
+
+    return {
+        collection: collectionName,
+        count: await collection.countDocuments(query),
+        importedFromLogs: await collection.countDocuments({ ...query, importedFromLogs: true }),
+        oldest: oldest ? oldest.timestamp : null,
+        newest: newest ? newest.timestamp : null,
+        duplicateGroups: duplicates.length,
+        duplicateRecords: duplicates.reduce((sum, dup) => sum + dup.count - 1, 0),
+        duplicates: duplicates.slice(0, DUPLICATE_SAMPLES).map(dup => ({
+            ...dup._id,
+            count: dup.count
+        }))
+    };
+}
+
+/**
+ * Delete duplicate records, keeping the first stored copy of each key
+ * With dryRun only counts what would be deleted
+ */
+async function dedupeRecords(modemType, filter = {}, { dryRun = false } = {}) {
+    const db = getDb();
+    if (!db) return null;
+
+    const collectionName = getCollectionName('records', modemType);
+    const duplicates = await findDuplicates(modemType, filter);
+    const extra = duplicates.flatMap(dup => dup.ids.slice(1));
+
+    let removed = 0;
+    if (!dryRun) {
+        for (let i = 0; i < extra.length; i += 1000) {
+            const result = await db.collection(collectionName).deleteMany({ _id: { $in: extra.slice(i, i + 1000) } });
+            removed += result.deletedCount;
+        }
+    }
+
+    return {
+        collection: collectionName,
+        duplicateGroups: duplicates.length,
+        duplicateRecords: extra.length,
+        removed
+    };
+}
+
+/**
+ * Record document from a regular records collection: Date timestamp, time-series metaField
+ */
+function toTimeSeriesDoc(doc) {
+    return {
+        ...doc,
+        meta: { imei: doc.imei, modemType: doc.modemType },
+        timestamp: new Date(doc.timestamp)
+    };
+}
+
+/**
+ * Move records_<type> from a regular collection (ISO string timestamps) to a time-series collection
+ * The regular collection is renamed to records_<type>_legacy and copied in _id order; progress is
+ * checkpointed in `migrations`, so an interrupted run continues where it stopped. Duplicates are
+ * left out of the copy. Run with the server stopped - it would create a new records_<type> after the rename
+ * Options: dryRun (only report), dropLegacy (drop records_<type>_legacy once copied), onProgress(progress)
+ */
+async function migrateRecords(modemType, { dryRun = false, dropLegacy = false, onProgress = null } = {}) {
+    const db = getDb();
+    if (!db) return null;
+
+    const name = getCollectionName('records', modemType);
+    const legacyName = `${name}_legacy`;
+    const migrations = db.collection('migrations');
+    const migrationId = `timeseries:${name}`;
+
+    const [current] = await db.listCollections({ name }).toArray();
+    const [legacy] = await db.listCollections({ name: legacyName }).toArray();
+    const checkpoint = await migrations.findOne({ _id: migrationId });
+
+    const progress = {
+        collection: name,
+        legacy: legacyName,
+        status: null,
+        total: 0,
+        copied: checkpoint ? checkpoint.copied : 0,
+        duplicates: checkpoint ? checkpoint.duplicates : 0,
+        legacyDropped: false
+    };
+
+    if (current && current.type !== 'timeseries') {
+        if (legacy) throw new Error(`${name} and ${legacyName} both exist as regular collections`);
+        progress.status = 'pending';
+        progress.total = await db.collection(name).estimatedDocumentCount();
+        if (dryRun) return progress;
+
+        await db.collection(name).rename(legacyName);
+    } else if (!legacy) {
+        progress.status = current ? 'done' : 'empty';
+        return progress;
+    } else {
+        progress.status = checkpoint && checkpoint.finishedAt ? 'copied' : 'resuming';
+        progress.total = await db.collection(legacyName).estimatedDocumentCount();
+        if (dryRun) return progress;
+    }
+
+    // Creates the time-series collection with its indexes
+    await ensureDeviceIndexes(modemType);
+
+    const query = checkpoint && checkpoint.lastId ? { _id: { $gt: checkpoint.lastId } } : {};
+    const cursor = db.collection(legacyName).find(query).sort({ _id: 1 }).batchSize(MIGRATION_BATCH);
+
+    let batch = [];
+    const flush = async () => {
+        const saved = await insertRecordDocs(modemType, batch.map(toTimeSeriesDoc));
+        progress.copied += saved.inserted;
+        progress.duplicates += saved.duplicates;
+        await migrations.updateOne(
+            { _id: migrationId },
+            { $set: { lastId: batch[batch.length - 1]._id, copied: progress.copied, duplicates: progress.duplicates, updatedAt: new Date() } },
+            { upsert: true }
+        );
+        batch = [];
+        if (onProgress) onProgress(progress);
+    };
+
+    for await (const doc of cursor) {
+        batch.push(doc);
+        if (batch.length >= MIGRATION_BATCH) await flush();
+    }
+    if (batch.length > 0) await flush();
+
+    await migrations.updateOne({ _id: migrationId }, { $set: { finishedAt: new Date() } }, { upsert: true });
+    progress.status = 'copied';
+
+    if (dropLegacy) {
+        await db.collection(legacyName).drop();
+        progress.legacyDropped = true;
+        progress.status = 'done';
+    }
+    return progress;
+}
+
+/**
+ * Fill record_keys_<type> from the stored records, for records written before ingest claimed keys
+ * Keys already present are skipped, so it can run at any time. With dryRun only counts the records
+ * Returns { collection, keys, records, added }
+ */
+async function fillRecordKeys(modemType, { dryRun = false, onProgress = null } = {}) {
+    const db = getDb();
+    if (!db) return null;
+
+    const keysName = getCollectionName('record_keys', modemType);
+    const records = db.collection(getCollectionName('records', modemType));
+    const progress = { collection: keysName, keys: 0, records: 0, added: 0 };
+    if (dryRun) {
+        progress.keys = await db.collection(keysName).estimatedDocumentCount();
+        progress.records = await records.estimatedDocumentCount();
+        return progress;
+    }
+
+    const cursor = records
+        .find({}, { projection: { _id: 0, imei: 1, timestamp: 1, priority: 1, eventIoId: 1 } })
+        .batchSize(MIGRATION_BATCH);
+
+    let batch = [];
+    const flush = async () => {
+        const keyDocs = [...new Map(batch.map(doc => [recordKeyString(doc), doc])).entries()]
+            .map(([key, doc]) => ({ _id: key, imei: doc.imei, timestamp: doc.timestamp }));
+        try {
+            const result = await db.collection(keysName).insertMany(keyDocs, { ordered: false });
+            progress.added += result.insertedCount;
+        } catch (err) {
+            // Keys already claimed
+            if (![].concat(err.writeErrors || []).every(e => e.code === 11000)) throw err;
+            progress.added += err.insertedCount;
+        }
+        progress.records += batch.length;
+        batch = [];
+        if (onProgress) onProgress(progress);
+    };
+
+    for await (const doc of cursor) {
+        batch.push(doc);
+        if (batch.length >= MIGRATION_BATCH) await flush();
+    }
+    if (batch.length > 0) await flush();
+
+    progress.keys = await db.collection(keysName).estimatedDocumentCount();
+    return progress;
+}
+
+module.exports = { checkRecords, findDuplicates, dedupeRecords, migrateRecords, fillRecordKeys };
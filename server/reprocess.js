@@ -0,0 +1,253 @@
+/**
+ * Reprocess stored raw frames (raw_<type>) through the current decoder and IO dictionary
+ * and rebuild records_<type> for a device and receive-time window
+ *
+ * Idempotent: records are replaced by their key (imei, timestamp, priority, eventIoId), so running twice changes nothing.
+ * A changed record is inserted first and its stored copies (duplicates included) are deleted afterwards,
+ * so an interrupted run never loses a record - at worst both versions are kept until the next run.
+ * Raw data is never modified. Derived data (DTC events, incidents) is not rebuilt; trips are marked for the trip builder.
+ * Records without a stored raw frame (e.g. imported from logs before raw was kept) are left alone
+ *
+ * CLI: telem records reprocess --imei 864275079658715 [--from 2026-01-01] [--to 2026-02-01] [--dry-run]
+ * API: POST /admin/reprocess { imei, from, to, dryRun } -> job, GET /admin/reprocess/:id
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { decodeCodec8, decodeUDP } = require('./codec8');
+const { getCollectionName, buildRecordDoc, insertRecordDocs, recordKeyString } = require('./models');
+const { markTripsDirty } = require('./trips');
+
+// Fields that legitimately differ between the stored and the rebuilt record
+const IGNORED_FIELDS = ['_id', 'createdAt', 'importedFromLogs', 'reprocessedAt'];
+const MAX_DIFF_SAMPLES = 20;
+const PROGRESS_EVERY = 500;
+// Rebuilt records compared and written per round trip
+const WRITE_BATCH = 500;
+
+// Job ID -> job (API runs reprocessing in the background)
+const jobs = new Map();
+
+/**
+ * Decode stored frame: TCP frames start with the 4 zero-byte preamble, UDP datagrams with their length
+ */
+function decodeRaw(rawHex, model) {
+    const buffer = Buffer.from(rawHex, 'hex');
+    return buffer.length >= 4 && buffer.readUInt32BE(0) === 0
+        ? decodeCodec8(buffer, { model })
+        : decodeUDP(buffer, { model });
+}
+
+/**
+ * Value as read back from MongoDB, comparable with isDeepStrictEqual
+ * (BSON types as strings, undefined stored as null)
+ */
+function normalize(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return value.toString('hex');
+    if (value._bsontype === 'Binary') return Buffer.from(value.buffer).toString('hex');
+    if (value._bsontype) return value.toString();
+    if (Array.isArray(value)) return value.map(normalize);
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalize(v)]));
+    }
+    return value;
+}
+
+/**
+ * Top-level fields whose value differs (key order is not compared, time-series reads may reorder)
+ */
+function diffFields(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].filter(key =>
+        !IGNORED_FIELDS.includes(key) && !isDeepStrictEqual(normalize(before[key]), normalize(after[key]))
+    );
+}
+
+/**
+ * Re-decode raw frames of a device and rebuild its records
+ * options: { imei, modemType (default: device's), from, to (raw receive time), dryRun, onProgress(progress) }
+ * Returns { frames, decodeErrors, records, unchanged, changed, created, duplicates, fieldsChanged, samples }
+ */
+async function reprocess({ imei, modemType = null, from = null, to = null, dryRun = false, onProgress = null }) {
+    const db = getDb();
+    if (!db) throw new Error('Database unavailable');
+    if (!imei) throw new Error('imei is required');
+
+    if (!modemType) {
+        const device = await db.collection('devices').findOne({ imei });
+        modemType = device && device.modemType ? device.modemType : 'FMC003';
+    }
+
+    const rawCollection = db.collection(getCollectionName('raw', modemType));
+    const recordsCollection = db.collection(getCollectionName('records', modemType));
+
+    const query = { imei };
+    if (from || to) {
+        query.timestamp = {};
+        if (from) query.timestamp.$gte = new Date(from);
+        if (to) query.timestamp.$lte = new Date(to);
+    }
+
+    const progress = {
+        modemType,
+        total: await rawCollection.countDocuments(query),
+        frames: 0,
+        decodeErrors: 0,
+        records: 0,
+        unchanged: 0,
+        changed: 0,
+        created: 0,
+        duplicates: 0,
+        fieldsChanged: {},
+        samples: []
+    };
+
+    // Resent packets are stored twice - count their records once
+    const seen = new Set();
+    const now = new Date();
+    // Earliest written record - trips are rebuilt from there
+    let earliest = null;
+    let batch = [];
+
+    // Compare a batch of rebuilt records with the stored ones and write the changes
+    const flush = async () => {
+        const stored = await recordsCollection
+            .find({ 'meta.imei': imei, timestamp: { $in: [...new Set(batch.map(doc => doc.timestamp.getTime()))].map(t => new Date(t)) } })
+            .toArray();
+        const storedByKey = new Map();
+        for (const doc of stored) {
+            const key = recordKeyString(doc);
+            if (!storedByKey.has(key)) storedByKey.set(key, []);
+            storedByKey.get(key).push(doc);
+        }
+
+        const changed = [];
+        const replacedIds = [];
+        const created = [];
+        for (const doc of batch) {
+            const copies = storedByKey.get(recordKeyString(doc));
+            if (!copies) {
+                progress.created++;
+                created.push({ ...doc, reprocessedAt: now });
+                continue;
+            }
+
+            const existing = copies[0];
+            const fields = diffFields(existing, doc);
+            if (fields.length === 0) {
+                progress.unchanged++;
+                continue;
+            }
+
+            progress.changed++;
+            for (const field of fields) {
+                progress.fieldsChanged[field] = (progress.fieldsChanged[field] || 0) + 1;
+            }
+            if (progress.samples.length < MAX_DIFF_SAMPLES) {
+                progress.samples.push({
+                    timestamp: doc.timestamp,
+                    fields: fields.map(field => ({ field, before: existing[field], after: doc[field] }))
+                });
+            }
+
+            doc.createdAt = existing.createdAt;
+            if (existing.importedFromLogs) doc.importedFromLogs = true;
+            changed.push({ ...doc, reprocessedAt: now });
+            replacedIds.push(...copies.map(copy => copy._id));
+        }
+        batch = [];
+
+        if (dryRun) return;
+
+        // Time-series collections have no replace/upsert - insert the rebuilt records, then delete every stored copy
+        if (changed.length > 0) {
+            await recordsCollection.insertMany(changed, { ordered: false });
+            await recordsCollection.deleteMany({ _id: { $in: replacedIds } });
+        }
+        // New records claim their key like live ingest
+        if (created.length > 0) {
+            await insertRecordDocs(modemType, created);
+        }
+        for (const doc of [...changed, ...created]) {
+            if (!earliest || doc.timestamp < earliest) earliest = doc.timestamp;
+        }
+    };
+
+    const cursor = rawCollection.find(query).sort({ timestamp: 1 });
+    for await (const raw of cursor) {
+        progress.frames++;
+
+        const decoded = decodeRaw(raw.rawHex, modemType);
+        if (decoded.error) {
+            progress.decodeErrors++;
+        } else {
+            for (const record of decoded.avlRecords) {
+                progress.records++;
+                const doc = buildRecordDoc(imei, raw.vin, modemType, record);
+
+                const key = recordKeyString(doc);
+                if (seen.has(key)) {
+                    progress.duplicates++;
+                    continue;
+                }
+                seen.add(key);
+
+                batch.push(doc);
+                if (batch.length >= WRITE_BATCH) await flush();
+            }
+        }
+
+        if (onProgress && progress.frames % PROGRESS_EVERY === 0) {
+            onProgress(progress);
+        }
+    }
+    if (batch.length > 0) await flush();
+
+    if (earliest) await markTripsDirty(imei, [{ timestamp: earliest }]);
+
+    return progress;
+}
+
+/**
+ * Start reprocessing in the background, returns the job
+ */
+function startJob(options) {
+    const job = {
+        id: new ObjectId().toString(),
+        status: 'running',
+        options: { imei: options.imei, modemType: options.modemType || null, from: options.from || null, to: options.to || null, dryRun: !!options.dryRun },
+        progress: null,
+        startedAt: new Date(),
+        finishedAt: null,
+        error: null
+    };
+    jobs.set(job.id, job);
+
+    reprocess({ ...job.options, onProgress: progress => { job.progress = progress; } })
+        .then(result => {
+            job.progress = result;
+            job.status = 'done';
+        })
+        .catch(err => {
+            job.error = err.message;
+            job.status = 'failed';
+        })
+        .finally(() => {
+            job.finishedAt = new Date();
+        });
+
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function listJobs() {
+    return [...jobs.values()].sort((a, b) => b.startedAt - a.startedAt);
+}
+
+module.exports = { reprocess, startJob, getJob, listJobs };
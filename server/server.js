@@ -1,263 +1,895 @@
 const net = require('net');
-const fs = require('fs');
-const path = require('path');
-const { decodeCodec8 } = require('./codec8');
-const { connect: connectDb } = require('./db');
-const { saveRawData, saveRecords, upsertDevice, getDevice } = require('./models');
+const dgram = require('dgram');
+const { decodeCodec8, decodeUDP, encodeUDPAck, getCodecName, COMMAND_CODECS } = require('./codec8');
+const { decodeCodec12, TYPE_NACK } = require('./codec12');
+const { FrameReassembler } = require('./framer');
+const { DEFAULT_MODEL } = require('./io-dictionary');
+const { trackDtcEvents } = require('./dtc-events');
+const incidents = require('./incidents');
+const { markTripsDirty, buildDirtyTrips } = require('./trips');
+const { connect: connectDb, isAvailable: isDbAvailable, ensureDeviceIndexes } = require('./db');
+const { saveRawData, saveRecords, upsertDevice, getDevice, recordIntegrityError, DURABLE_WRITE_CONCERN } = require('./models');
 const { startAPI } = require('./api');
+const connections = require('./connections');
+const commands = require('./commands');
+const log = require('./logger');
+const spool = require('./spool');
+const whitelist = require('./whitelist');
+const pendingDevices = require('./pending-devices');
+const sessions = require('./sessions');
+const limits = require('./limits');
+const { DUPLICATE_IMEI_POLICY, networkOf, recordDeviceEvent, trackLoginNetwork } = require('./device-events');
+const { createTLSServer, TLS_ENABLED } = require('./tls-server');
 
 const PORT = 5027;
+const TCP_ENABLED = process.env.TCP_ENABLED !== 'false';
+const TLS_PORT = parseInt(process.env.TLS_PORT) || 5028;
+const UDP_PORT = parseInt(process.env.UDP_PORT) || PORT;
+const UDP_ENABLED = process.env.UDP_ENABLED !== 'false';
 const HOST = '0.0.0.0';
 const DATA_INTERVAL = 5000;
-const LOGS_DIR = path.join(__dirname, 'logs', 'server');
+const INCIDENT_FINALIZE_INTERVAL = 60000;
+const TRIP_BUILD_INTERVAL = (parseInt(process.env.TRIP_BUILD_INTERVAL_S) || 30) * 1000;
+const DB_RECONNECT_INTERVAL = 10000;
+const WHITELIST_REFRESH_INTERVAL = 60000;
 
-// Codec to device type mapping
+// durable: ACK only after raw frame and records are committed (at-least-once)
+// immediate: ACK right after decoding, saves are fire-and-forget
+const ACK_MODE = process.env.ACK_MODE === 'immediate' ? 'immediate' : 'durable';
+// What to do when a durable save fails: close the socket or only withhold the ACK
+const ACK_FAILURE_ACTION = process.env.ACK_FAILURE_ACTION === 'withhold' ? 'withhold' : 'close';
+
+
+// Codec to device type mapping (fallback when the device has no registered modemType)
+// Codec 12 / 13 / 14 are command codecs and never carry AVL data
 const CODEC_DEVICE_MAP = {
     0x08: 'FMC003',  // Codec 8
     0x8e: 'FMC003',  // Codec 8 Extended (FMC003 uses this)
-    // Future codecs can be mapped to different devices
-    // 0x0c: 'FMB920',  // Codec 12
-    // 0x0d: 'FMB140',  // Codec 13
-    // 0x0e: 'FMC150',  // Codec 14
+    0x10: 'FMB',     // Codec 16 (FMB series)
 };
 
-if (!fs.existsSync(LOGS_DIR)) {
-    fs.mkdirSync(LOGS_DIR, { recursive: true });
+const clients = new Map();
+// IMEI -> source (ip:port) of its last UDP datagram
+const udpPeers = new Map();
+let dbConnected = false;
+let maintaining = false;
+const indexedDeviceTypes = new Set(['FMC003']);
+
+/**
+ * Log received data with hex (frame log + structured debug entry)
+ */
+function logReceived(clientId, buffer) {
+    const hex = buffer.toString('hex');
+    log.frame(`← RECV ${clientId} (${buffer.length} bytes)`);
+    log.frame(`  HEX: ${hex}`);
+    log.debug('frames', `RECV ${clientId} (${buffer.length} bytes)`, { clientId, hex });
 }
 
-const clients = new Map();
+/**
+ * Log sent data with hex (frame log + structured debug entry)
+ */
+function logSent(clientId, buffer, description) {
+    const hex = buffer.toString('hex');
+    log.frame(`→ SEND ${clientId} (${buffer.length} bytes) - ${description}`);
+    log.frame(`  HEX: ${hex}`);
+    log.debug('frames', `SEND ${clientId} (${buffer.length} bytes) - ${description}`, { clientId, hex });
+}
 
 /**
- * Get hourly log file path
+ * Extract VIN from IO elements
  */
-function getHourlyLogFile() {
-    const now = new Date();
-    const y = now.getFullYear();
-    const m = String(now.getMonth() + 1).padStart(2, '0');
-    const d = String(now.getDate()).padStart(2, '0');
-    const h = String(now.getHours()).padStart(2, '0');
-    return path.join(LOGS_DIR, `${y}-${m}-${d}_${h}.txt`);
+function extractVIN(ioElements) {
+    if (!ioElements || !ioElements.elements) return null;
+    const vinElement = ioElements.elements.find(e => e.id === 256);
+    return vinElement ? vinElement.value : null;
 }
 
 /**
- * Log to hourly text file
+ * Get device type from codec ID
  */
-function log(message) {
-    const file = getHourlyLogFile();
-    const timestamp = new Date().toISOString();
-    const line = `[${timestamp}] ${message}\n`;
-    fs.appendFileSync(file, line);
-    console.log(line.trim());
+function getDeviceType(codecId) {
+    return CODEC_DEVICE_MAP[codecId] || 'UNKNOWN';
 }
 
 /**
- * Log received data with hex
+ * Registered modem type wins, otherwise guess from codec
+ * Makes sure the device-specific collections are indexed
  */
-function logReceived(clientId, buffer) {
-    const hex = buffer.toString('hex');
-    log(`← RECV ${clientId} (${buffer.length} bytes)`);
-    log(`  HEX: ${hex}`);
+function resolveDeviceType(registeredType, codecId) {
+    const deviceType = registeredType || getDeviceType(codecId);
+    log.debug('records', `Device type: ${deviceType} (Codec 0x${codecId.toString(16)})`);
+
+    if (!indexedDeviceTypes.has(deviceType)) {
+        indexedDeviceTypes.add(deviceType);
+        ensureDeviceIndexes(deviceType);
+    }
+
+    return deviceType;
 }
 
 /**
- * Log sent data with hex
+ * Update fault history and crash incidents from saved records, mark trips for rebuilding
  */
-function logSent(clientId, buffer, description) {
-    const hex = buffer.toString('hex');
-    log(`→ SEND ${clientId} (${buffer.length} bytes) - ${description}`);
-    log(`  HEX: ${hex}`);
+function trackRecordEvents(imei, vin, deviceType, records) {
+    // Fault history from DTC elements (IO 387/388)
+    trackDtcEvents(imei, vin, records).then(result => {
+        if (result && (result.opened || result.cleared)) {
+            log.info('records', `DTC ${imei}: ${result.opened} new fault(s), ${result.cleared} cleared`);
+        }
+    });
+
+    // Crash incidents from IO 247/257
+    incidents.trackIncidents(imei, vin, deviceType, records).then(result => {
+        if (result && (result.opened || result.updated)) {
+            log.warn('records', `Crash ${imei}: ${result.opened} new incident(s), ${result.updated} update(s)`);
+        }
+    });
+
+    // Trips are rebuilt from the earliest new record by the trip builder (late records reopen trips)
+    markTripsDirty(imei, records);
 }
 
 /**
- * Parse Teltonika IMEI from RAW buffer
- * Returns IMEI string or null
+ * Look up device for login from the in-memory whitelist
+ * Unknown IMEIs are checked against MongoDB once (device may have been added directly),
+ * then auto-registered by TAC policy or recorded in pending_devices; further attempts within
+ * WHITELIST_UNKNOWN_TTL_MS (every datagram of an unknown UDP device) are rejected from memory
  */
-function parseIMEI(buffer) {
-    if (buffer.length < 2) return null;
+async function lookupDevice(imei, remoteAddress, transport) {
+    const cached = whitelist.getCachedDevice(imei);
+    if (cached) return cached;
+    if (whitelist.isRecentlyUnknown(imei)) return null;
+
+    if (!isDbAvailable()) {
+        log.warn('auth', `Database unavailable, ${imei} not found in cached whitelist`);
+        return null;
+    }
 
-    const len = buffer.readUInt16BE(0);
-    if (len !== 15) return null;
-    if (buffer.length < 2 + len) return null;
+    let device = await getDevice(imei);
+    if (!device) {
+        device = await pendingDevices.autoRegister(imei, remoteAddress);
+        if (device) {
+            log.info('auth', `Auto-registered ${imei} registered as ${device.modemType}`);
+        } else {
+            pendingDevices.recordLoginAttempt(imei, { remoteAddress, transport });
+        }
+    }
 
-    return buffer.slice(2, 2 + len).toString('ascii');
+    if (device) whitelist.update(device);
+    else whitelist.markUnknown(imei);
+    return device;
 }
 
 /**
- * Extract VIN from IO elements
+ * Log IMEI-cloning suspicion and add it to the device's history
  */
-function extractVIN(ioElements) {
-    if (!ioElements || !ioElements.elements) return null;
-    const vinElement = ioElements.elements.find(e => e.id === 256);
-    return vinElement ? vinElement.value : null;
+function raiseCloneSuspicion(imei, details) {
+    log.warn('auth', `${imei} - IMEI cloning suspected (${details.reason}): ${details.networks.join(', ')}`, { imei, ...details });
+    recordDeviceEvent(imei, 'clone_suspected', details);
 }
 
 /**
- * Get device type from codec ID
+ * Approved login: check whether the IMEI keeps alternating between remote networks
  */
-function getDeviceType(codecId) {
-    return CODEC_DEVICE_MAP[codecId] || 'UNKNOWN';
+function checkLoginNetwork(imei, remoteAddress) {
+    const suspicion = trackLoginNetwork(imei, remoteAddress);
+    if (suspicion) {
+        raiseCloneSuspicion(imei, { reason: 'alternating', ...suspicion });
+    }
 }
 
 /**
- * Start server
+ * Append packet to the disk spool, returns false if it could not be written
+ * rawSaved / recordsSaved mark parts already committed before a partial failure
  */
-async function startServer() {
-    // Connect to MongoDB
+function spoolAVL(entry) {
     try {
-        await connectDb();
-        log('[DB] MongoDB connected');
+        spool.append({ ...entry, receivedAt: new Date().toISOString() });
+        log.warn('db', `Spool ${entry.imei}: packet with ${entry.records.length} records spooled (${spool.depth()} waiting)`);
+        return true;
+    } catch (err) {
+        log.error('db', `Spool ${entry.imei}: write failed: ${err.message}`);
+        return false;
+    }
+}
+
+/**
+ * Store one spooled packet, throws if it is not committed (replay stops there)
+ */
+async function replaySpoolEntry(entry) {
+    const writeOptions = { writeConcern: DURABLE_WRITE_CONCERN };
 
-        // Start API server
-        startAPI();
-        log('[API] API server started');
+    if (!entry.rawSaved) {
+        const id = await saveRawData(entry.imei, entry.vin, entry.rawHex, entry.deviceType, {
+            ...writeOptions,
+            receivedAt: new Date(entry.receivedAt)
+        });
+        if (!id) throw new Error(`raw frame of ${entry.imei} not committed`);
+        entry.rawSaved = true;
+    }
+
+    if (!entry.recordsSaved && entry.records.length > 0) {
+        const saved = await saveRecords(entry.imei, entry.vin, entry.deviceType, entry.records, writeOptions);
+        if (!saved) throw new Error(`records of ${entry.imei} not committed`);
+        entry.recordsSaved = true;
+        trackRecordEvents(entry.imei, entry.vin, entry.deviceType, saved.insertedIndexes.map(i => entry.records[i]));
+    }
+}
+
+/**
+ * Save decoded AVL packet (shared by TCP and UDP transports)
+ * In durable mode raw frame and records are awaited with a journaled write concern.
+ * Records already stored (resent by the device) are skipped and counted in session.duplicateRecords.
+ * Packets that cannot go to MongoDB, or arrive while spooled packets wait for replay, are spooled to disk;
+ * returns false if the packet is neither committed nor spooled (caller must not ACK)
+ */
+async function saveAVL(imei, vin, deviceType, buffer, decoded, session = null) {
+    const durable = ACK_MODE === 'durable';
+    const writeOptions = durable ? { writeConcern: DURABLE_WRITE_CONCERN } : {};
+    const rawHex = buffer.toString('hex');
+
+    // Degraded mode - keep packet on disk until MongoDB is back. Packets keep going to the spool
+    // until it is replayed completely, so a device's packets are stored in the order received
+    if (!isDbAvailable() || spool.depth() > 0) {
+        return spoolAVL({ imei, vin, deviceType, rawHex, records: decoded.avlRecords });
+    }
+
+    // Update device registry
+    upsertDevice(imei, vin, deviceType).then(id => {
+        if (id) log.debug('db', `Device registered/updated: ${imei}`);
+    });
+
+    // Save raw data to MongoDB (device-specific collection)
+    const rawSaved = saveRawData(imei, vin, rawHex, deviceType, writeOptions).then(id => {
+        if (id) log.debug('db', `Raw data saved to raw_${deviceType.toLowerCase()}: ${id}`);
+        return id;
+    });
+
+    // Save parsed records to MongoDB (device-specific collection)
+    let recordsSaved = Promise.resolve(true);
+    if (decoded.avlRecords.length > 0) {
+        recordsSaved = saveRecords(imei, vin, deviceType, decoded.avlRecords, writeOptions).then(saved => {
+            if (saved) {
+                log.debug('db', `Saved ${saved.inserted} records to records_${deviceType.toLowerCase()}`);
+                if (saved.duplicates > 0) {
+                    log.info('records', `${imei}: ${saved.duplicates} resent record(s) already stored, skipped`, { duplicates: saved.duplicates });
+                    if (session) session.duplicateRecords += saved.duplicates;
+                }
+                // Derived data only from newly committed records
+                trackRecordEvents(imei, vin, deviceType, saved.insertedIndexes.map(i => decoded.avlRecords[i]));
+            }
+            return saved;
+        });
+    }
+
+    if (!durable) return true;
+
+    const [rawId, recordsResult] = await Promise.all([rawSaved, recordsSaved]);
+    if (!rawId || !recordsResult) {
+        log.error('db', `${imei}: ${!rawId ? 'raw frame' : 'records'} not committed, spooling`);
+        return spoolAVL({
+            imei, vin, deviceType, rawHex,
+            records: decoded.avlRecords,
+            rawSaved: !!rawId,
+            recordsSaved: !!recordsResult
+        });
+    }
+    return true;
+}
+
+/**
+ * Log decoded AVL packet: summary at info, every record and IO element at debug
+ */
+function logAVL(decoded) {
+    log.info('records', `AVL packet: ${decoded.numberOfData1} record(s), ${getCodecName(decoded.codecId)}`, {
+        codecId: decoded.codecId,
+        records: decoded.numberOfData1
+    });
+    if (!log.isEnabled('debug', 'records')) return;
+
+    decoded.avlRecords.forEach((record, i) => {
+        log.debug('records', `Record ${i + 1}/${decoded.numberOfData1}: ${record.timestamp}`, {
+            timestamp: record.timestamp,
+            priority: record.priority,
+            gps: record.gps,
+            eventIoId: record.io.eventIoId,
+            generationType: record.io.generationTypeName,
+            elements: record.io.elements.map(elem => ({
+                id: elem.id,
+                name: elem.name,
+                value: elem.value,
+                engValue: elem.engValue,
+                unit: elem.unit,
+                error: elem.error,
+                hex: elem.raw ? elem.raw.toString('hex') : undefined
+            }))
+        });
+    });
+}
+
+/**
+ * Handle one UDP datagram: every datagram carries the IMEI, so each one
+ * goes through the whitelist check before it is saved and acknowledged
+ */
+async function handleDatagram(udpServer, msg, rinfo) {
+    const clientId = `${rinfo.address}:${rinfo.port}`;
+
+    // Separate marker so the log import doesn't treat datagrams as TCP frames
+    log.frame(`← UDP RECV ${clientId} (${msg.length} bytes)`);
+    log.frame(`  HEX: ${msg.toString('hex')}`);
+    log.debug('frames', `UDP RECV ${clientId} (${msg.length} bytes)`, { clientId, hex: msg.toString('hex') });
+
+    let decoded = decodeUDP(msg);
+
+    if (decoded.error) {
+        log.warn('udp', `${clientId} - Decode failed: ${decoded.error}, ACK withheld`);
+        return;
+    }
+
+    if (decoded.messages) {
+        log.warn('udp', `${clientId} - ${getCodecName(decoded.codecId)} frame not supported over UDP, ignoring`);
+        return;
+    }
+
+    const device = await lookupDevice(decoded.imei, rinfo.address, 'udp');
+    if (!device || device.approved === false) {
+        log.warn('auth', `UDP IMEI not approved: ${decoded.imei} (${clientId})`);
+        return;
+    }
+    // Network check once per UDP "session" (IMEI + source address / port), not for every datagram
+    if (udpPeers.get(decoded.imei) !== clientId) {
+        udpPeers.set(decoded.imei, clientId);
+        checkLoginNetwork(decoded.imei, rinfo.address);
+    }
+
+    // IMEI is only known after decoding - re-decode with the device's own IO dictionary
+    if (device.modemType && device.modemType.toUpperCase() !== DEFAULT_MODEL) {
+        decoded = decodeUDP(msg, { model: device.modemType });
+    }
+
+    const deviceType = resolveDeviceType(device.modemType, decoded.codecId);
+    let vin = device.vin || null;
+    if (decoded.avlRecords.length > 0) {
+        const extracted = extractVIN(decoded.avlRecords[0].io);
+        if (extracted && extracted !== vin) {
+            vin = extracted;
+            log.frame(`[VIN] Extracted: ${vin}`);
+            log.info('records', `VIN extracted: ${vin}`, { imei: decoded.imei, vin });
+        }
+    }
+
+    logAVL(decoded);
+    if (!await saveAVL(decoded.imei, vin, deviceType, msg, decoded)) {
+        // No ACK - the device resends the packet
+        log.error('udp', `${clientId} - Not persisted, ACK withheld`);
+        return;
+    }
+
+    const ack = encodeUDPAck(decoded.packetId, decoded.avlPacketId, decoded.numberOfData1);
+    udpServer.send(ack, rinfo.port, rinfo.address, err => {
+        if (err) log.error('udp', `${clientId} - ACK send failed: ${err.message}`);
+    });
+    log.frame(`→ UDP SEND ${clientId} (${ack.length} bytes) - AVL ACK (${decoded.numberOfData1} records confirmed)`);
+    log.frame(`  HEX: ${ack.toString('hex')}`);
+    log.debug('frames', `UDP SEND ${clientId} - AVL ACK (${decoded.numberOfData1} records confirmed)`, { clientId, hex: ack.toString('hex') });
+}
+
+/**
+ * Start UDP listener for devices configured with the UDP protocol
+ */
+function startUDPServer() {
+    const udpServer = dgram.createSocket('udp4');
+
+    udpServer.on('message', (msg, rinfo) => {
+        handleDatagram(udpServer, msg, rinfo).catch(err => {
+            log.error('udp', `${rinfo.address}:${rinfo.port} - ${err.message}`);
+        });
+    });
+
+    udpServer.on('error', err => {
+        log.error('udp', `Server error: ${err.message}`);
+    });
+
+    udpServer.bind(UDP_PORT, HOST, () => {
+        log.info('server', `UDP server listening on ${HOST}:${UDP_PORT}`);
+    });
+
+    return udpServer;
+}
+
+/**
+ * Refresh the on-disk whitelist cache from MongoDB
+ */
+async function refreshWhitelist() {
+    if (!isDbAvailable()) return;
+    try {
+        const count = await whitelist.refreshCache();
+        if (count !== null) log.debug('auth', `Whitelist cached ${count} device(s)`);
     } catch (err) {
-        log(`[DB] MongoDB connection failed: ${err.message}`);
-        log('[DB] Server will continue without database');
+        log.error('auth', `Whitelist cache refresh failed: ${err.message}`);
     }
+}
 
-    const server = net.createServer(socket => {
-        const clientId = `${socket.remoteAddress}:${socket.remotePort}`;
-        log(`=== NEW CONNECTION: ${clientId} ===`);
+/**
+ * Run once MongoDB is connected (at startup or after degraded mode)
+ */
+async function onDbConnected() {
+    log.info('db', 'MongoDB connected');
 
-        let deviceIMEI = null;
-        let deviceVIN = null;
-        let deviceType = null;
+    const expired = await commands.expireStaleCommands();
+    if (expired > 0) log.info('commands', `Marked ${expired} unanswered command(s) from previous run as timeout`);
 
-        // Timeout for unauthenticated connections (15 seconds)
-        const authTimeout = setTimeout(() => {
-            if (!deviceIMEI) {
-                log(`[TIMEOUT] ${clientId} - No IMEI received, closing connection`);
-                socket.destroy();
+    const staleSessions = await sessions.closeStaleSessions();
+    if (staleSessions > 0) log.info('conn', `Closed ${staleSessions} session(s) left open by previous run`);
+
+    await refreshWhitelist();
+    const mode = whitelist.watch();
+    if (mode) log.info('auth', `Whitelist following device changes (${mode})`);
+}
+
+/**
+ * Reconnect while degraded and replay the spool once MongoDB is reachable
+ */
+async function maintainDatabase() {
+    if (maintaining) return;
+    maintaining = true;
+
+    try {
+        if (!dbConnected) {
+            try {
+                await connectDb();
+            } catch (err) {
+                return;
             }
-        }, 15000);
+            dbConnected = true;
+            await onDbConnected();
+        }
+
+        if (!isDbAvailable() || spool.depth() === 0) return;
+
+        log.info('db', `Replaying ${spool.depth()} spooled packet(s)`);
+        try {
+            const replayed = await spool.replay(replaySpoolEntry);
+            if (replayed !== null) log.info('db', `Replayed ${replayed} packet(s)`);
+        } catch (err) {
+            log.error('db', `Spool replay stopped: ${err.message} (${spool.depth()} waiting)`);
+        }
+    } finally {
+        maintaining = false;
+    }
+}
+
+/**
+ * Apply connection limits to a raw TCP socket - for TLS before the handshake, so handshake floods are limited too
+ * Returns false if the connection was refused (socket destroyed)
+ */
+function admitConnection(socket) {
+    const clientId = `${socket.remoteAddress}:${socket.remotePort}`;
+    const remoteAddress = socket.remoteAddress;
+
+    // Refused before any handshake, session or timer is created
+    const refused = limits.acceptConnection(remoteAddress);
+    if (refused) {
+        log.warn('conn', `${clientId} - Connection refused: ${refused}`, { clientId, limit: refused });
+        socket.destroy();
+        return false;
+    }
+
+    socket.once('close', () => limits.releaseConnection(remoteAddress));
+    return true;
+}
 
-        // Only poll for authenticated connections
-        const interval = setInterval(() => {
-            if (socket.writable && deviceIMEI) {
-                log(`[POLL] ${clientId} (${deviceIMEI})`);
+/**
+ * Serve one device connection - plain TCP or TLS (login, decode and ACK flow are the same)
+ * The socket has passed admitConnection. transport: 'tcp' | 'tls'
+ */
+function handleConnection(socket, transport) {
+    const clientId = `${socket.remoteAddress}:${socket.remotePort}`;
+    const remoteAddress = socket.remoteAddress;
+
+    log.info('conn', `New ${transport.toUpperCase()} connection: ${clientId}`);
+
+    let deviceIMEI = null;
+    let deviceVIN = null;
+    let deviceType = null;
+    let registeredType = null;
+    const session = sessions.openSession(clientId, socket, transport);
+
+    // Timeout for unauthenticated connections (15 seconds)
+    const authTimeout = setTimeout(() => {
+        if (!deviceIMEI) {
+            log.warn('auth', `${clientId} - No IMEI received, closing connection`);
+            sessions.markClose(session, 'timeout');
+            failedLogin();
+            socket.destroy();
+        }
+    }, 15000);
+
+    // Poll timer is only started after login
+    let interval = null;
+
+    const framer = new FrameReassembler({ maxFrameSize: limits.MAX_FRAME_BYTES });
+    let queue = Promise.resolve();
+    const integrityErrors = {};
+
+    clients.set(clientId, { socket, authTimeout, framer, integrityErrors });
+
+    /**
+     * Count failed login towards the per-IP rate limit
+     */
+    function failedLogin() {
+        if (limits.recordFailedLogin(remoteAddress)) {
+            log.warn('auth', `${remoteAddress} banned - too many failed logins`, { remoteAddress });
+        }
+    }
+
+    /**
+     * Handle IMEI login frame
+     */
+    async function handleLogin(frame) {
+        const imei = frame.imei;
+        log.frame(`[LOGIN] IMEI: ${imei}`);
+        log.info('auth', `Login ${clientId}: IMEI ${imei}`, { clientId, imei });
+
+        // Check if IMEI is in whitelist (approved devices)
+        const device = await lookupDevice(imei, socket.remoteAddress, transport);
+        if (!device || device.approved === false) {
+            log.warn('auth', `IMEI not approved: ${imei}`, { clientId, imei });
+            const nack = Buffer.from([0x00]);
+            socket.write(nack);
+            logSent(clientId, nack, 'LOGIN NACK (0x00 = rejected)');
+            sessions.markClose(session, 'rejected');
+            failedLogin();
+            socket.destroy();
+            return;
+        }
+
+        if (!handleDuplicateLogin(imei)) return;
+        checkLoginNetwork(imei, remoteAddress);
+
+        deviceIMEI = imei;
+        registeredType = device.modemType || null;
+        clearTimeout(authTimeout); // Clear auth timeout on successful login
+        sessions.loginSession(session, imei);
+
+        interval = setInterval(() => {
+            if (socket.writable) {
+                log.debug('conn', `Poll ${clientId} (${deviceIMEI})`);
             }
         }, DATA_INTERVAL);
 
-        clients.set(clientId, { socket, interval, authTimeout });
-
-        socket.on('data', async buffer => {
-            // Log raw received data
-            logReceived(clientId, buffer);
-
-            // IMEI login phase
-            const imei = parseIMEI(buffer);
-            if (imei) {
-                log(`[LOGIN] IMEI: ${imei}`);
-                log(`  Parsed from: length=${buffer.readUInt16BE(0)}, imei_bytes=${buffer.slice(2, 17).toString('hex')}`);
-
-                // Check if IMEI is in whitelist (approved devices)
-                const device = await getDevice(imei);
-                if (!device || device.approved === false) {
-                    log(`[REJECTED] IMEI not approved: ${imei}`);
-                    const nack = Buffer.from([0x00]);
-                    socket.write(nack);
-                    logSent(clientId, nack, 'LOGIN NACK (0x00 = rejected)');
-                    socket.destroy();
-                    return;
-                }
+        // Authenticated but silent (e.g. half-open after network loss)
+        socket.setTimeout(limits.IDLE_TIMEOUT_MS, () => {
+            log.warn('conn', `${clientId} (${deviceIMEI}) - Idle for ${limits.IDLE_TIMEOUT_MS / 1000} s, closing connection`);
+            limits.recordViolation('idle');
+            sessions.markClose(session, 'idle');
+            socket.destroy();
+        });
+        log.info('auth', `Approved device: ${device.plateNumber || device.modemType || imei}`);
+
+        const ack = Buffer.from([0x01]);
+        socket.write(ack);
+        logSent(clientId, ack, 'LOGIN ACK (0x01 = accepted)');
+
+        // Make device reachable for GPRS commands and flush its queue
+        connections.register(imei, {
+            clientId,
+            transport,
+            socket,
+            send(buffer, description) {
+                socket.write(buffer);
+                logSent(clientId, buffer, description);
+            },
+            close(reason) {
+                sessions.markClose(session, reason);
+                socket.destroy();
+            }
+        });
+        commands.deliverPending(imei);
+    }
 
-                deviceIMEI = imei;
-                clearTimeout(authTimeout); // Clear auth timeout on successful login
-                log(`[APPROVED] Device: ${device.plateNumber || device.modemType || imei}`);
+    /**
+     * Second live connection for the IMEI (reconnect before the old socket timed out, or a clone)
+     * Applies DUPLICATE_IMEI_POLICY, returns false when this login is refused
+     */
+    function handleDuplicateLogin(imei) {
+        const existing = connections.get(imei);
+        if (!existing || existing.clientId === clientId) return true;
 
-                const ack = Buffer.from([0x01]);
-                socket.write(ack);
-                logSent(clientId, ack, 'LOGIN ACK (0x01 = accepted)');
-                return;
+        const existingNetwork = networkOf(existing.socket.remoteAddress);
+        const network = networkOf(remoteAddress);
+        const action = { replace: 'replaced_old', reject: 'rejected_new', allow: 'allowed_both' }[DUPLICATE_IMEI_POLICY];
+
+        log.warn('conn', `${clientId} - ${imei} already connected from ${existing.clientId}, policy ${DUPLICATE_IMEI_POLICY}`, {
+            imei, clientId, existingClientId: existing.clientId
+        });
+        recordDeviceEvent(imei, 'duplicate_connection', {
+            policy: DUPLICATE_IMEI_POLICY,
+            action,
+            existing: { clientId: existing.clientId, transport: existing.transport, connectedAt: existing.connectedAt },
+            incoming: { clientId, transport }
+        });
+
+        // Both at once from different networks - one of them is not the real device
+        if (existingNetwork !== network) {
+            raiseCloneSuspicion(imei, { reason: 'concurrent', networks: [existingNetwork, network] });
+        }
+
+        if (DUPLICATE_IMEI_POLICY === 'reject') {
+            const nack = Buffer.from([0x00]);
+            socket.write(nack);
+            logSent(clientId, nack, 'LOGIN NACK (0x00 = IMEI already connected)');
+            sessions.markClose(session, 'duplicate');
+            socket.destroy();
+            return false;
+        }
+
+        if (DUPLICATE_IMEI_POLICY === 'replace') {
+            existing.close('replaced');
+            // The old socket's 'close' may only fire after this login registered, and then no longer
+            // unregisters - expire its in-flight command now instead of waiting for the command timeout
+            commands.handleDisconnect(imei).catch(err => {
+                log.error('commands', `${existing.clientId}: ${err.message}`);
+            });
+        } else {
+            session.duplicateOf = existing.clientId;
+        }
+        return true;
+    }
+
+    /**
+     * Handle Codec 12 / 13 / 14 frame (device response to a GPRS command)
+     */
+    async function handleCommandResponse(buffer) {
+        const decoded = decodeCodec12(buffer);
+
+        if (decoded.error) {
+            session.decodeErrors++;
+            log.warn('commands', `${clientId} (${deviceIMEI}) - ${getCodecName(buffer[8])} decode failed: ${decoded.error}`);
+            return;
+        }
+
+        const codecName = getCodecName(decoded.codecId);
+        const meta = { responseCodec: codecName };
+        for (const message of decoded.messages) {
+            if (message.imei && message.imei !== deviceIMEI) {
+                log.warn('commands', `${codecName} IMEI ${message.imei} does not match connection IMEI ${deviceIMEI}`);
+            }
+            if (message.type === TYPE_NACK) {
+                meta.nack = true;
             }
+            if (message.timestamp) {
+                meta.deviceTimestamp = message.timestamp;
+            }
+        }
 
-            // AVL data (Codec 8 / 8 Extended)
-            const decoded = decodeCodec8(buffer);
+        const text = decoded.messages.map(m => m.text).join('\n');
+        log.info('commands', `${codecName} response from ${deviceIMEI}${meta.nack ? ' (nACK)' : ''}: ${text}`);
 
-            if (decoded.error) {
-                log(`[ERROR] Decode failed: ${decoded.error}`);
-                return;
+        const command = await commands.handleResponse(deviceIMEI, text, meta);
+        if (command) {
+            log.info('commands', `Answered "${command.command}" (${command._id})`);
+        } else {
+            log.warn('commands', `No command in flight for ${deviceIMEI}, response not correlated`);
+        }
+    }
+
+    /**
+     * Handle one complete AVL packet (Codec 8 / 8 Extended)
+     */
+    async function handleAVL(buffer) {
+        if (!deviceIMEI) {
+            log.warn('conn', `${clientId} - AVL data before IMEI login, ignoring`);
+            return;
+        }
+
+        const decoded = decodeCodec8(buffer, { model: registeredType });
+
+        // Corrupted frame - no ACK, so the device retransmits it from its buffer
+        if (decoded.integrity) {
+            const code = decoded.integrity.code;
+            integrityErrors[code] = (integrityErrors[code] || 0) + 1;
+            session.decodeErrors++;
+            log.warn('frames', `Integrity ${clientId} (${deviceIMEI}) - ${decoded.error}, ACK withheld (${code} x${integrityErrors[code]} this connection)`);
+            recordIntegrityError(deviceIMEI, code);
+            return;
+        }
+
+        if (decoded.error) {
+            session.decodeErrors++;
+            log.warn('records', `${clientId} (${deviceIMEI}) - Decode failed: ${decoded.error}`);
+            return;
+        }
+
+        deviceType = resolveDeviceType(registeredType, decoded.codecId);
+
+        // Extract VIN from first record if available
+        if (decoded.avlRecords.length > 0 && !deviceVIN) {
+            deviceVIN = extractVIN(decoded.avlRecords[0].io);
+            if (deviceVIN) {
+                log.frame(`[VIN] Extracted: ${deviceVIN}`);
+                log.info('records', `VIN extracted: ${deviceVIN}`, { imei: deviceIMEI, vin: deviceVIN });
             }
+        }
 
-            // Determine device type from codec
-            deviceType = getDeviceType(decoded.codecId);
-            log(`[DEVICE] Type: ${deviceType} (Codec 0x${decoded.codecId.toString(16)})`);
+        logAVL(decoded);
 
-            // Extract VIN from first record if available
-            if (decoded.avlRecords.length > 0 && !deviceVIN) {
-                deviceVIN = extractVIN(decoded.avlRecords[0].io);
-                if (deviceVIN) {
-                    log(`[VIN] Extracted: ${deviceVIN}`);
-                }
+        // Device deletes ACKed records from its memory - only confirm what is committed
+        if (!await saveAVL(deviceIMEI, deviceVIN, deviceType, buffer, decoded, session)) {
+            if (ACK_FAILURE_ACTION === 'close') {
+                log.error('db', `${clientId} (${deviceIMEI}) - Not persisted, ACK withheld, closing connection`);
+                sessions.markClose(session, 'persist_failed');
+                socket.destroy();
+            } else {
+                log.error('db', `${clientId} (${deviceIMEI}) - Not persisted, ACK withheld`);
             }
+            return;
+        }
+
+        // Send ACK with number of records
+        const ack = Buffer.alloc(4);
+        ack.writeUInt32BE(decoded.numberOfData1, 0);
+        socket.write(ack);
+        logSent(clientId, ack, `AVL ACK (${decoded.numberOfData1} records confirmed)`);
+        session.records += decoded.numberOfData1;
+    }
 
-            // Update device registry
-            upsertDevice(deviceIMEI, deviceVIN, deviceType).then(id => {
-                if (id) log(`[DB] Device registered/updated: ${deviceIMEI}`);
-            });
+    /**
+     * Reassemble frames from a raw chunk and process them in order
+     */
+    async function handleChunk(chunk) {
+        const frames = framer.push(chunk);
 
-            // Save raw data to MongoDB (device-specific collection)
-            const rawHex = buffer.toString('hex');
-            saveRawData(deviceIMEI, deviceVIN, rawHex, deviceType).then(id => {
-                if (id) log(`[DB] Raw data saved to raw_${deviceType.toLowerCase()}: ${id}`);
-            });
+        if (frames.length !== 1 || framer.pending > 0) {
+            log.debug('frames', `${clientId} chunk ${chunk.length} bytes -> ${frames.length} frame(s), ${framer.pending} bytes pending`);
+        }
 
-            // Save parsed records to MongoDB (device-specific collection)
-            if (decoded.avlRecords.length > 0) {
-                saveRecords(deviceIMEI, deviceVIN, deviceType, decoded.avlRecords).then(ids => {
-                    if (ids) log(`[DB] Saved ${Object.keys(ids).length} records to records_${deviceType.toLowerCase()}`);
-                });
+        for (const frame of frames) {
+            if (socket.destroyed) return;
+
+            if (frame.type === 'oversize') {
+                log.warn('frames', `${clientId} - Frame of ${frame.size} bytes exceeds limit of ${limits.MAX_FRAME_BYTES}, closing connection`, { clientId, hex: frame.buffer.toString('hex') });
+                limits.recordViolation('frameSize');
+                sessions.markClose(session, 'frame_too_large');
+                socket.destroy();
+                return;
             }
 
-            log(`[AVL] Parsing packet...`);
-            log(`  Preamble: ${decoded.preamble.toString(16).padStart(8, '0')}`);
-            log(`  Data Length: ${decoded.dataFieldLength} bytes`);
-            log(`  Codec ID: 0x${decoded.codecId.toString(16)} (${decoded.codecId === 0x8e ? 'Codec 8 Extended' : 'Codec 8'})`);
-            log(`  Number of Records: ${decoded.numberOfData1}`);
-            log(`  CRC: 0x${decoded.crc.toString(16)}`);
-
-            // Log each record
-            decoded.avlRecords.forEach((record, i) => {
-                log(`  --- Record ${i + 1} ---`);
-                log(`    Timestamp: ${record.timestamp} (raw: ${record.timestampRaw})`);
-                log(`    Priority: ${record.priority}`);
-                log(`    GPS: Lat=${record.gps.latitude}, Lon=${record.gps.longitude}`);
-                log(`    Altitude: ${record.gps.altitude}m, Angle: ${record.gps.angle}°`);
-                log(`    Speed: ${record.gps.speed} km/h, Satellites: ${record.gps.satellites}`);
-                log(`    IO Event ID: ${record.io.eventIoId}, Total Elements: ${record.io.totalCount}`);
-
-                // Log IO elements (now an array)
-                for (const elem of record.io.elements) {
-                    const rawHex = elem.raw ? elem.raw.toString('hex') : 'N/A';
-                    log(`      [${elem.id}] ${elem.name}: ${elem.value} (hex: ${rawHex})`);
-                }
+            if (frame.type === 'garbage') {
+                log.warn('frames', `${clientId} - Discarded ${frame.buffer.length} unframed bytes: ${frame.buffer.toString('hex')}`);
+                continue;
+            }
+
+            // Log each complete frame (keeps RECV/HEX pairs importable by `telem import logs`)
+            logReceived(clientId, frame.buffer);
+            session.frames++;
+
+            if (frame.type === 'imei') {
+                await handleLogin(frame);
+            } else if (COMMAND_CODECS.includes(frame.buffer[8]) && deviceIMEI) {
+                await handleCommandResponse(frame.buffer);
+            } else {
+                await handleAVL(frame.buffer);
+            }
+        }
+    }
+
+    socket.on('data', chunk => {
+        // Chain chunks so frames are handled strictly in arrival order
+        queue = queue.then(() => handleChunk(chunk)).catch(err => {
+            log.error('conn', `${clientId}: ${err.message}`);
+        });
+    });
+
+    socket.on('end', () => {
+        log.info('conn', `Connection closed by device: ${clientId}`);
+        sessions.markClose(session, 'end');
+        clearTimeout(authTimeout);
+        clearInterval(interval);
+        clients.delete(clientId);
+    });
+
+    socket.on('error', err => {
+        log.warn('conn', `${clientId}: ${err.message}`);
+        sessions.markClose(session, 'error', err.message);
+        clearTimeout(authTimeout);
+        clearInterval(interval);
+        clients.delete(clientId);
+    });
+
+    socket.on('close', () => {
+        // Sockets destroyed by the server get neither 'end' nor 'error'
+        clearTimeout(authTimeout);
+        clearInterval(interval);
+        clients.delete(clientId);
+
+        log.info('conn', `Session ${clientId} (${deviceIMEI || 'no login'}) closed: ${session.closeReason || 'closed'}, ${session.frames} frames, ${session.records} records, ${session.duplicateRecords} duplicates`);
+        sessions.closeSession(session);
+
+        if (deviceIMEI && connections.unregister(deviceIMEI, clientId)) {
+            commands.handleDisconnect(deviceIMEI).catch(err => {
+                log.error('commands', `${clientId}: ${err.message}`);
             });
+        }
+    });
+}
+
+/**
+ * Start server
+ */
+async function startServer() {
+    // Revoked or deleted devices lose their live connection
+    whitelist.onRevoke((imei, reason) => {
+        const conn = connections.get(imei);
+        if (!conn) return;
+        log.warn('auth', `Revoked ${imei} ${reason}, closing connection ${conn.clientId}`);
+        conn.close('revoked');
+    });
+
+    // Start API server (also without database - GET /status reports degraded mode)
+    startAPI();
+
+    // Connect to MongoDB
+    try {
+        await connectDb();
+        dbConnected = true;
+        await onDbConnected();
+    } catch (err) {
+        // Connect failures are logged by db.js
+        if (dbConnected) log.error('db', `Startup after connect failed: ${err.message}`);
+        else log.warn('db', `Degraded mode: logins checked against cached whitelist, AVL data spooled to ${spool.status().dir}`);
+    }
+
+    maintainDatabase().catch(err => log.error('db', err.message));
+    setInterval(() => {
+        maintainDatabase().catch(err => log.error('db', err.message));
+    }, DB_RECONNECT_INTERVAL);
 
-            // Send ACK with number of records
-            const ack = Buffer.alloc(4);
-            ack.writeUInt32BE(decoded.numberOfData1, 0);
-            socket.write(ack);
-            logSent(clientId, ack, `AVL ACK (${decoded.numberOfData1} records confirmed)`);
+    setInterval(refreshWhitelist, WHITELIST_REFRESH_INTERVAL);
+
+    // Store GPS track of crash incidents once the records after the crash are in
+    setInterval(() => {
+        if (!isDbAvailable()) return;
+        incidents.finalizeIncidents().then(count => {
+            if (count > 0) log.info('records', `Finalized ${count} incident report(s)`);
+        }).catch(err => {
+            log.error('records', `Error finalizing incidents: ${err.message}`);
+        });
+    }, INCIDENT_FINALIZE_INTERVAL);
+
+    // Segment newly stored records into the trips collection
+    setInterval(() => {
+        if (!isDbAvailable()) return;
+        buildDirtyTrips().then(count => {
+            if (count > 0) log.debug('records', `Rebuilt trips of ${count} device(s)`);
+        }).catch(err => {
+            log.error('records', `Error building trips: ${err.message}`);
         });
+    }, TRIP_BUILD_INTERVAL);
 
-        socket.on('end', () => {
-            log(`=== CONNECTION CLOSED: ${clientId} ===`);
-            clearTimeout(authTimeout);
-            clearInterval(interval);
-            clients.delete(clientId);
+    if (TCP_ENABLED) {
+        const server = net.createServer(socket => {
+            if (admitConnection(socket)) handleConnection(socket, 'tcp');
+        });
+        server.listen(PORT, HOST, () => {
+            log.info('server', `TCP server listening on ${HOST}:${PORT}`);
         });
+    }
 
-        socket.on('error', err => {
-            log(`[ERROR] ${clientId}: ${err.message}`);
-            clearTimeout(authTimeout);
-            clearInterval(interval);
-            clients.delete(clientId);
+    if (TLS_ENABLED) {
+        const server = createTLSServer(socket => handleConnection(socket, 'tls'));
+        // Raw socket, before the handshake
+        server.on('connection', admitConnection);
+        server.listen(TLS_PORT, HOST, () => {
+            log.info('server', `TLS server listening on ${HOST}:${TLS_PORT}`);
         });
-    });
+    }
 
-    server.listen(PORT, HOST, () => {
-        console.log(`TCP server listening on ${HOST}:${PORT}`);
-    });
+    log.info('server', `ACK mode: ${ACK_MODE}${ACK_MODE === 'durable' ? `, on failure: ${ACK_FAILURE_ACTION}` : ''}`);
+
+    if (UDP_ENABLED) {
+        startUDPServer();
+    }
 }
 
 startServer();
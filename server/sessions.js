@@ -0,0 +1,162 @@
+/**
+ * TCP connection sessions (`sessions` collection)
+ * One document per socket: transport (tcp | tls, with negotiated protocol and cipher), remote address,
+ * IMEI after login, traffic and frame counters, connect/disconnect time and why it closed
+ *
+ * Close reasons: timeout, end (closed by device), error, kicked (API), revoked (whitelist),
+ * rejected (login NACK), persist_failed (ACK withheld), idle (no data after login),
+ * frame_too_large, replaced / duplicate (second connection for the IMEI, see device-events.js),
+ * closed (anything else), server_restart (left open by a previous process)
+ */
+
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const log = require('./logger');
+
+// clientId -> { session, socket, saving } for open sockets
+// saving chains the session's writes so an older snapshot never overwrites a newer one
+const live = new Map();
+
+/**
+ * Session document with current socket counters
+ */
+function toDoc(session, socket) {
+    return {
+        ...session,
+        bytesIn: socket.bytesRead,
+        bytesOut: socket.bytesWritten
+    };
+}
+
+async function persist(doc) {
+    const db = getDb();
+    if (!db) return null;
+
+    try {
+        const { _id, ...fields } = doc;
+        await db.collection('sessions').updateOne({ _id }, { $set: fields }, { upsert: true });
+        return _id;
+    } catch (err) {
+        log.error('conn', `Error saving session: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Start session for a new socket
+ */
+function openSession(clientId, socket, transport = 'tcp') {
+    const session = {
+        _id: new ObjectId(),
+        clientId,
+        transport,
+        remoteAddress: socket.remoteAddress,
+        remotePort: socket.remotePort,
+        imei: null,
+        connectedAt: new Date(),
+        loggedInAt: null,
+        disconnectedAt: null,
+        durationMs: null,
+        frames: 0,
+        records: 0,
+        duplicateRecords: 0,    // resent records that were already stored
+        decodeErrors: 0,
+        closeReason: null,
+        closeError: null
+    };
+    if (transport === 'tls') {
+        const cipher = socket.getCipher();
+        session.tls = { protocol: socket.getProtocol(), cipher: cipher ? cipher.name : null };
+    }
+
+    live.set(clientId, { session, socket, saving: persist(toDoc(session, socket)) });
+    return session;
+}
+
+/**
+ * Attach IMEI after successful login
+ */
+function loginSession(session, imei) {
+    const entry = live.get(session.clientId);
+    session.imei = imei;
+    session.loggedInAt = new Date();
+    if (entry) {
+        const doc = toDoc(session, entry.socket);
+        entry.saving = entry.saving.then(() => persist(doc));
+    }
+}
+
+/**
+ * Remember why the socket is being closed (first reason wins)
+ */
+function markClose(session, reason, error) {
+    if (session.closeReason) return;
+    session.closeReason = reason;
+    if (error) session.closeError = error;
+}
+
+/**
+ * Finish session when the socket has closed
+ */
+async function closeSession(session) {
+    const entry = live.get(session.clientId);
+    live.delete(session.clientId);
+
+    session.disconnectedAt = new Date();
+    session.durationMs = session.disconnectedAt - session.connectedAt;
+    markClose(session, 'closed');
+
+    if (!entry) return null;
+    const doc = toDoc(session, entry.socket);
+    return await entry.saving.then(() => persist(doc));
+}
+
+/**
+ * Open sockets with live counters
+ */
+function listLive() {
+    return [...live.values()].map(({ session, socket }) => ({
+        ...toDoc(session, socket),
+        durationMs: Date.now() - session.connectedAt
+    }));
+}
+
+/**
+ * Session history for device, newest first
+ */
+async function getSessions(imei, { limit = 50, skip = 0 } = {}) {
+    const db = getDb();
+    if (!db) return [];
+
+    return await db.collection('sessions')
+        .find({ imei })
+        .sort({ connectedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+}
+
+/**
+ * Sessions left open by a previous process ended with it
+ */
+async function closeStaleSessions() {
+    const db = getDb();
+    if (!db) return 0;
+
+    const openIds = [...live.values()].map(({ session }) => session._id);
+    const result = await db.collection('sessions').updateMany(
+        { disconnectedAt: null, _id: { $nin: openIds } },
+        { $set: { disconnectedAt: new Date(), closeReason: 'server_restart' } }
+    );
+    return result.modifiedCount;
+}
+
+module.exports = {
+    openSession,
+    loginSession,
+    markClose,
+    closeSession,
+    listLive,
+    getSessions,
+    closeStaleSessions
+};
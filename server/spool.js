@@ -0,0 +1,148 @@
+/**
+ * On-disk spool for AVL packets received while MongoDB is unavailable
+ * Segmented NDJSON files under logs/spool (override with SPOOL_DIR), one packet per line.
+ * Segments are replayed oldest first and deleted once every entry is stored
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+const SPOOL_DIR = process.env.SPOOL_DIR || path.join(__dirname, 'logs', 'spool');
+const SEGMENT_MAX_BYTES = parseInt(process.env.SPOOL_SEGMENT_BYTES) || 16 * 1024 * 1024;
+
+let current = null;     // { file, fd, size } segment being appended to
+let depth = null;       // entries waiting for replay (counted on first use)
+let sequence = 0;
+let replaying = false;
+let lastReplay = null;  // { at, replayed, error }
+
+/**
+ * Segment file names sort in creation order
+ */
+function listSegments() {
+    if (!fs.existsSync(SPOOL_DIR)) return [];
+    return fs.readdirSync(SPOOL_DIR)
+        .filter(f => f.endsWith('.ndjson'))
+        .sort()
+        .map(f => path.join(SPOOL_DIR, f));
+}
+
+/**
+ * Parse segment, skipping a line torn by a crash during append
+ */
+function readSegment(file) {
+    const entries = [];
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (err) {
+            log.warn('db', `Skipping unreadable spool line in ${path.basename(file)}: ${err.message}`);
+        }
+    }
+    return entries;
+}
+
+function countEntries() {
+    if (depth === null) {
+        depth = listSegments().reduce((sum, file) => sum + readSegment(file).length, 0);
+    }
+    return depth;
+}
+
+function closeSegment() {
+    if (current) {
+        fs.closeSync(current.fd);
+        current = null;
+    }
+}
+
+function openSegment() {
+    fs.mkdirSync(SPOOL_DIR, { recursive: true });
+    const name = `${String(Date.now()).padStart(15, '0')}-${String(sequence++).padStart(6, '0')}.ndjson`;
+    const file = path.join(SPOOL_DIR, name);
+    current = { file, fd: fs.openSync(file, 'a'), size: 0 };
+}
+
+/**
+ * Append entry and fsync - once this returns the packet survives a restart
+ * Decoder buffers (element.raw) are dropped, the raw frame is kept as rawHex
+ */
+function append(entry) {
+    countEntries();
+    if (!current || current.size >= SEGMENT_MAX_BYTES) {
+        closeSegment();
+        openSegment();
+    }
+
+    const line = JSON.stringify(entry, (key, value) => key === 'raw' ? undefined : value) + '\n';
+    fs.writeSync(current.fd, line);
+    fs.fsyncSync(current.fd);
+    current.size += Buffer.byteLength(line);
+    depth++;
+}
+
+/**
+ * Replay spooled entries in order through handler(entry), including entries appended meanwhile
+ * Stops at the first failing entry; the rest of its segment is kept (including
+ * changes the handler made to the entry) and retried on the next call
+ * Returns number of replayed entries, null if a replay is already running
+ */
+async function replay(handler) {
+    if (replaying) return null;
+    replaying = true;
+    countEntries();
+
+    let replayed = 0;
+    try {
+        // Appends during replay go to a fresh segment, replayed in the next pass until none is left
+        for (;;) {
+            closeSegment();
+            const files = listSegments();
+            if (files.length === 0) break;
+
+            for (const file of files) {
+                const entries = readSegment(file);
+                for (let i = 0; i < entries.length; i++) {
+                    try {
+                        await handler(entries[i]);
+                    } catch (err) {
+                        const rest = entries.slice(i).map(e => JSON.stringify(e) + '\n').join('');
+                        fs.writeFileSync(`${file}.tmp`, rest);
+                        fs.renameSync(`${file}.tmp`, file);
+                        throw err;
+                    }
+                    replayed++;
+                    depth--;
+                }
+                fs.unlinkSync(file);
+            }
+        }
+
+        lastReplay = { at: new Date(), replayed, error: null };
+        return replayed;
+    } catch (err) {
+        lastReplay = { at: new Date(), replayed, error: err.message };
+        throw err;
+    } finally {
+        replaying = false;
+    }
+}
+
+/**
+ * Spool depth for the status endpoint
+ */
+function status() {
+    const segments = listSegments();
+    return {
+        dir: SPOOL_DIR,
+        entries: countEntries(),
+        segments: segments.length,
+        bytes: segments.reduce((sum, file) => sum + fs.statSync(file).size, 0),
+        replaying,
+        lastReplay
+    };
+}
+
+module.exports = { append, replay, status, depth: countEntries };
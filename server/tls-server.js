@@ -0,0 +1,85 @@
+/**
+ * TLS listener for devices configured with a server certificate
+ * Certificate and key are read from TLS_CERT / TLS_KEY (PEM, optional TLS_CA chain) and
+ * reloaded when the files change, so renewed certificates apply without a restart.
+ * Existing connections keep the context they were opened with
+ *
+ * TLS_CERT=/etc/telem/fullchain.pem TLS_KEY=/etc/telem/privkey.pem TLS_PORT=5028
+ */
+
+const fs = require('fs');
+const tls = require('tls');
+const log = require('./logger');
+
+const TLS_CERT = process.env.TLS_CERT || null;
+const TLS_KEY = process.env.TLS_KEY || null;
+const TLS_CA = process.env.TLS_CA || null;
+const TLS_ENABLED = !!(TLS_CERT && TLS_KEY);
+const RELOAD_CHECK_INTERVAL = parseInt(process.env.TLS_RELOAD_CHECK_MS) || 5000;
+// Same limit as the IMEI login timeout
+const HANDSHAKE_TIMEOUT = 15000;
+
+/**
+ * Read certificate files into secure context options (throws on unreadable or mismatched files)
+ */
+function loadCredentials() {
+    const options = {
+        cert: fs.readFileSync(TLS_CERT),
+        key: fs.readFileSync(TLS_KEY)
+    };
+    if (TLS_CA) {
+        options.ca = fs.readFileSync(TLS_CA);
+    }
+    // Validate pair before it replaces a working context
+    tls.createSecureContext(options);
+    return options;
+}
+
+/**
+ * Reload certificate when any of the files changes
+ * Polls mtime (fs.watchFile) - survives renames and symlink swaps used by certificate renewal tools
+ */
+function watchCredentials(server) {
+    let reloadTimer = null;
+
+    const onChange = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+
+        // Cert and key are usually replaced one after the other - reload once both are written
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(() => {
+            try {
+                server.setSecureContext(loadCredentials());
+                log.info('server', `TLS certificate reloaded from ${TLS_CERT}`);
+            } catch (err) {
+                log.error('server', `TLS certificate reload failed, keeping previous: ${err.message}`);
+            }
+        }, 1000);
+    };
+
+    for (const file of [TLS_CERT, TLS_KEY, TLS_CA].filter(Boolean)) {
+        fs.watchFile(file, { interval: RELOAD_CHECK_INTERVAL }, onChange);
+    }
+}
+
+/**
+ * Create TLS server calling handler(socket) for every connection after the handshake
+ */
+function createTLSServer(handler) {
+    const server = tls.createServer({
+        ...loadCredentials(),
+        handshakeTimeout: HANDSHAKE_TIMEOUT
+    }, handler);
+
+    server.on('tlsClientError', (err, socket) => {
+        log.warn('conn', `TLS handshake failed ${socket.remoteAddress}:${socket.remotePort}: ${err.message}`);
+    });
+
+    watchCredentials(server);
+    return server;
+}
+
+module.exports = {
+    createTLSServer,
+    TLS_ENABLED
+};
@@ -0,0 +1,411 @@
+/**
+ * Trip detection from stored records and the `trips` collection
+ * A trip runs while the engine is on (ignition=1 or RPM > 0) and ends once it has been off
+ * for more than a minute.
+ *
+ * Saving records marks the device with tripsDirtyFrom (earliest new record). The trip builder
+ * re-segments the device's records from the last trip that can no longer change and replaces
+ * the stored trips after it, so late and out-of-order records reopen the trips they fall into.
+ * A rebuilt trip keeps the _id of the stored trip it overlaps
+ */
+
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { getCollectionName } = require('./models');
+const { calculateDriverBehavior } = require('./driver-behavior');
+const log = require('./logger');
+
+const ENGINE_OFF_TIMEOUT_MS = 60000;
+// Devices rebuilt per worker run
+const BUILD_BATCH = 50;
+// Trip writes per bulkWrite while rebuilding
+const WRITE_BATCH = 500;
+
+// A worker run still going when the next one is due is not started twice
+let building = false;
+
+// Engine is considered ON if ignition=1 OR rpm > 0
+const isEngineOn = (r) => r.ignition === 1 || (r.obdEngineRpm && r.obdEngineRpm > 0);
+
+/**
+ * Build trip from its engine-on records
+ * Returns null for trips without meaningful data (shorter than 2 min and 100 m)
+ */
+function buildTrip(tripRecords) {
+    const firstRecord = tripRecords[0];
+    const lastOnRecord = tripRecords[tripRecords.length - 1];
+
+    const trip = {
+        startTime: firstRecord.timestamp,
+        startOdometer: firstRecord.totalOdometer,
+        endTime: lastOnRecord.timestamp,
+        endOdometer: lastOnRecord.totalOdometer
+    };
+
+    // Calculate distance in meters and km
+    if (trip.startOdometer && trip.endOdometer) {
+        trip.distanceMeters = trip.endOdometer - trip.startOdometer;
+        trip.distanceKm = Math.round(trip.distanceMeters / 100) / 10;
+    }
+
+    // If odometer didn't change but we have speed data, estimate distance from speed × time
+    if (trip.distanceMeters === 0 || !trip.distanceMeters) {
+        let estimatedDistanceMeters = 0;
+        for (let i = 1; i < tripRecords.length; i++) {
+            const prevTime = new Date(tripRecords[i - 1].timestamp);
+            const currTime = new Date(tripRecords[i].timestamp);
+            const deltaSeconds = (currTime - prevTime) / 1000;
+            const speed = tripRecords[i - 1].obdVehicleSpeed || tripRecords[i - 1].gps?.speed || 0;
+            // speed is km/h, convert to m/s then multiply by time
+            estimatedDistanceMeters += (speed / 3.6) * deltaSeconds;
+        }
+        if (estimatedDistanceMeters > 0) {
+            trip.distanceMeters = Math.round(estimatedDistanceMeters);
+            trip.distanceKm = Math.round(estimatedDistanceMeters / 100) / 10;
+            trip.distanceEstimated = true;
+        }
+    }
+
+    // Calculate duration
+    const startDate = new Date(trip.startTime);
+    const endDate = new Date(trip.endTime);
+    const durationMs = endDate - startDate;
+    const totalMinutes = Math.round(durationMs / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    trip.duration = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    trip.durationMinutes = totalMinutes;
+
+    // Calculate average speed from distance/time (includes stops)
+    if (trip.distanceMeters && totalMinutes > 0) {
+        const durationHours = totalMinutes / 60;
+        trip.avgSpeedTotal = Math.round(trip.distanceKm / durationHours * 10) / 10;
+    }
+
+    // Find max speed and calculate avg from OBD/GPS records (only when moving)
+    let maxSpeed = 0;
+    let speedSum = 0;
+    let speedCount = 0;
+
+    for (const r of tripRecords) {
+        const speed = r.obdVehicleSpeed || r.gps?.speed || 0;
+        if (speed > 0) {
+            speedSum += speed;
+            speedCount++;
+            if (speed > maxSpeed) maxSpeed = speed;
+        }
+    }
+
+    trip.maxSpeed = maxSpeed;
+    if (speedCount > 0) {
+        trip.avgSpeedMoving = Math.round(speedSum / speedCount * 10) / 10;
+    }
+
+    // Calculate fuel consumption from GPS (only for trips > 2km and > 5 minutes)
+    const startFuel = firstRecord.fuelUsedGps;
+    const endFuel = lastOnRecord.fuelUsedGps;
+    if (startFuel !== undefined && endFuel !== undefined) {
+        const fuelUsedMl = endFuel - startFuel;
+
+        if (trip.distanceKm >= 2 && trip.durationMinutes >= 5 && fuelUsedMl > 0) {
+            trip.fuelUsedMl = fuelUsedMl;
+            trip.fuelUsedLiters = Math.round(fuelUsedMl / 10) / 100;
+            trip.fuelPer100km = Math.round((trip.fuelUsedLiters / trip.distanceKm) * 100 * 10) / 10;
+            trip.fuelFromGps = true; // Flag: GPS-estimated, not OBD real
+        }
+    }
+
+    // Find first/last position with valid GPS (satellites > 0)
+    const validGpsRecords = tripRecords.filter(r => r.gps?.satellites > 0);
+    if (validGpsRecords.length > 0) {
+        trip.startPosition = validGpsRecords[0].gps;
+        trip.endPosition = validGpsRecords[validGpsRecords.length - 1].gps;
+    } else {
+        trip.startPosition = firstRecord.gps;
+        trip.endPosition = lastOnRecord.gps;
+    }
+
+    // Calculate driver behavior (returns null if insufficient accelerometer data)
+    const driverBehavior = calculateDriverBehavior(tripRecords);
+    if (driverBehavior) {
+        trip.driverBehavior = driverBehavior;
+    }
+
+    // Only keep trip if it has meaningful data (duration >= 2 min or distance > 100m)
+    if (trip.durationMinutes >= 2 || trip.distanceMeters > 100) {
+        return trip;
+    }
+    return null;
+}
+
+/**
+ * Incremental trip detection over records ascending by timestamp (a cursor needs no full history in memory)
+ * push(record) returns the trip the record closed, or null; finish() returns the trip still running
+ * at the last record, flagged open: true, or null
+ */
+function createSegmenter() {
+    let tripRecords = null;
+    let lastEngineOnTime = null;
+
+    return {
+        push(record) {
+            if (isEngineOn(record)) {
+                // Trip starts or continues
+                if (!tripRecords) tripRecords = [];
+                tripRecords.push(record);
+                lastEngineOnTime = new Date(record.timestamp);
+                return null;
+            }
+
+            // Trip ends once the engine has been off long enough - else engine briefly off, keep collecting
+            if (!tripRecords || new Date(record.timestamp) - lastEngineOnTime <= ENGINE_OFF_TIMEOUT_MS) return null;
+
+            const trip = buildTrip(tripRecords);
+            tripRecords = null;
+            // closedAt: the engine-off record that ended the trip
+            return trip ? { ...trip, closedAt: record.timestamp } : null;
+        },
+
+        finish() {
+            const trip = tripRecords ? buildTrip(tripRecords) : null;
+            tripRecords = null;
+            return trip ? { ...trip, open: true } : null;
+        }
+    };
+}
+
+/**
+ * Group records (ascending by timestamp) into finished trips, oldest first
+ * A trip still running at the last record is only returned with includeOpen, flagged open: true
+ */
+function segmentTrips(records, { includeOpen = false } = {}) {
+    const segmenter = createSegmenter();
+    const trips = [];
+
+    for (const record of records) {
+        const trip = segmenter.push(record);
+        if (trip) trips.push(trip);
+    }
+
+    const open = includeOpen ? segmenter.finish() : null;
+    if (open) trips.push(open);
+    return trips;
+}
+
+/**
+ * Stream a device's records and detect its trips, oldest first
+ * Options: start, end (Dates)
+ */
+async function computeTrips(imei, modemType, { start = null, end = null } = {}) {
+    const db = getDb();
+    if (!db) return [];
+
+    const timestamp = {};
+    if (start) timestamp.$gte = new Date(start);
+    if (end) timestamp.$lte = new Date(end);
+
+    const segmenter = createSegmenter();
+    const trips = [];
+    for await (const record of findRecords(db, imei, modemType, timestamp)) {
+        const trip = segmenter.push(record);
+        if (trip) trips.push(trip);
+    }
+    return trips;
+}
+
+/**
+ * Cursor over the records with ignition state of a device, ascending (timestamp: optional range condition)
+ */
+function findRecords(db, imei, modemType, timestamp = {}) {
+    const query = {
+        'meta.imei': imei,
+        ignition: { $exists: true }
+    };
+    if (Object.keys(timestamp).length > 0) query.timestamp = timestamp;
+
+    return db.collection(getCollectionName('records', modemType))
+        .find(query)
+        .sort({ timestamp: 1 });
+}
+
+// ============ TRIP STORE ============
+
+/**
+ * Mark device's trips for rebuilding from the earliest of the given records
+ * Called for every batch of newly stored records (live, spool replay, log import, reprocessing)
+ */
+async function markTripsDirty(imei, records) {
+    const db = getDb();
+    if (!db || records.length === 0) return null;
+
+    const from = new Date(Math.min(...records.map(r => new Date(r.timestamp).getTime())));
+    try {
+        // tripsDirtySeq changes on every mark, also when from is not earlier than the current mark
+        await db.collection('devices').updateOne({ imei }, { $min: { tripsDirtyFrom: from }, $inc: { tripsDirtySeq: 1 } });
+        return from;
+    } catch (err) {
+        log.error('records', `Error marking trips dirty: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Re-segment a device's records from `from` (Date, null = all records) and replace its stored trips
+ * Segmentation restarts after the last closed trip whose closing engine-off record (closedAt) is
+ * before `from` - records after it cannot change that trip. Returns { from, trips, created, updated, removed }
+ */
+async function rebuildTrips(imei, modemType, from = null) {
+    const db = getDb();
+    if (!db) return null;
+
+    const collection = db.collection('trips');
+
+    const anchor = from
+        ? await collection.findOne(
+            { imei, open: false, closedAt: { $lt: from } },
+            { sort: { closedAt: -1 }, projection: { closedAt: 1 } }
+        )
+        : null;
+    const after = anchor ? { startTime: { $gt: anchor.closedAt } } : {};
+
+    // Keep the IDs of stored trips the rebuilt ones overlap
+    const stored = await collection
+        .find({ imei, ...after }, { projection: { startTime: 1, endTime: 1 } })
+        .sort({ startTime: 1 })
+        .toArray();
+    const reused = new Set();
+
+    const now = new Date();
+    let operations = [];
+    let trips = 0;
+    let created = 0;
+    const store = async (trip) => {
+        const match = stored.find(s =>
+            !reused.has(s._id.toString()) && s.startTime <= trip.endTime && s.endTime >= trip.startTime
+        );
+        if (match) reused.add(match._id.toString());
+        else created++;
+        trips++;
+
+        operations.push({
+            replaceOne: {
+                filter: { _id: match ? match._id : new ObjectId() },
+                replacement: { imei, modemType, ...trip, open: trip.open === true, updatedAt: now },
+                upsert: true
+            }
+        });
+        if (operations.length >= WRITE_BATCH) {
+            await collection.bulkWrite(operations, { ordered: true });
+            operations = [];
+        }
+    };
+
+    // Records are streamed, only the running trip's records are held
+    const segmenter = createSegmenter();
+    for await (const record of findRecords(db, imei, modemType, anchor ? { $gt: anchor.closedAt } : {})) {
+        const trip = segmenter.push(record);
+        if (trip) await store(trip);
+    }
+    const open = segmenter.finish();
+    if (open) await store(open);
+
+    const removed = stored.filter(s => !reused.has(s._id.toString())).map(s => s._id);
+    if (removed.length > 0) operations.push({ deleteMany: { filter: { _id: { $in: removed } } } });
+    if (operations.length > 0) await collection.bulkWrite(operations, { ordered: true });
+
+    return {
+        from: anchor ? anchor.closedAt : null,
+        trips,
+        created,
+        updated: reused.size,
+        removed: removed.length
+    };
+}
+
+/**
+ * Rebuild trips of devices marked by markTripsDirty (background worker)
+ * The mark is only cleared if no records were marked during the rebuild (tripsDirtySeq unchanged),
+ * else the next run rebuilds again. Returns number of rebuilt devices
+ */
+async function buildDirtyTrips() {
+    const db = getDb();
+    if (!db || building) return 0;
+
+    building = true;
+    try {
+        const devices = await db.collection('devices')
+            .find({ tripsDirtyFrom: { $exists: true } }, { projection: { imei: 1, modemType: 1, tripsDirtyFrom: 1, tripsDirtySeq: 1 } })
+            .limit(BUILD_BATCH)
+            .toArray();
+
+        for (const device of devices) {
+            await rebuildTrips(device.imei, device.modemType || 'FMC003', device.tripsDirtyFrom);
+            await db.collection('devices').updateOne(
+                { imei: device.imei, tripsDirtySeq: device.tripsDirtySeq },
+                { $unset: { tripsDirtyFrom: '', tripsDirtySeq: '' } }
+            );
+        }
+
+        return devices.length;
+    } finally {
+        building = false;
+    }
+}
+
+/**
+ * Stored trips of a device, newest first
+ * Options: start, end (Dates, trip start time), includeOpen (trip still running), limit, skip
+ * Returns { total, trips }
+ */
+async function listTrips(imei, { start = null, end = null, includeOpen = false, limit = 25, skip = 0 } = {}) {
+    const db = getDb();
+    if (!db) return { total: 0, trips: [] };
+
+    const query = { imei };
+    if (!includeOpen) query.open = false;
+    if (start || end) {
+        query.startTime = {};
+        if (start) query.startTime.$gte = new Date(start);
+        if (end) query.startTime.$lte = new Date(end);
+    }
+
+    const collection = db.collection('trips');
+    const [total, trips] = await Promise.all([
+        collection.countDocuments(query),
+        collection.find(query).sort({ startTime: -1 }).skip(skip).limit(limit).toArray()
+    ]);
+    return { total, trips };
+}
+
+/**
+ * Trip count and driving time per day (trip start, UTC 'YYYY-MM-DD'), running trips included
+ * Returns Map date -> { tripCount, drivingMs }
+ */
+async function dailyTripStats(imei, from, to) {
+    const db = getDb();
+    if (!db) return new Map();
+
+    const days = await db.collection('trips').aggregate([
+        { $match: { imei, startTime: { $gte: from, $lt: to } } },
+        {
+            $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$startTime' } },
+                tripCount: { $sum: 1 },
+                drivingMs: { $sum: { $subtract: ['$endTime', '$startTime'] } }
+            }
+        }
+    ]).toArray();
+
+    return new Map(days.map(day => [day._id, { tripCount: day.tripCount, drivingMs: day.drivingMs }]));
+}
+
+module.exports = {
+    segmentTrips,
+    computeTrips,
+    isEngineOn,
+    markTripsDirty,
+    rebuildTrips,
+    buildDirtyTrips,
+    listTrips,
+    dailyTripStats
+};
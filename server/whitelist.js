@@ -0,0 +1,265 @@
+/**
+ * In-memory device whitelist used to authenticate logins without a database round-trip
+ * Loaded from the devices collection, kept current by a change stream (polling when
+ * change streams are unavailable, e.g. standalone MongoDB) and by the API's own writes.
+ * A copy is kept in logs/whitelist.json (override with WHITELIST_CACHE_FILE) for logins
+ * while MongoDB is down
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDb } = require('./db');
+const log = require('./logger');
+
+const CACHE_FILE = process.env.WHITELIST_CACHE_FILE || path.join(__dirname, 'logs', 'whitelist.json');
+const POLL_INTERVAL = parseInt(process.env.WHITELIST_POLL_INTERVAL_MS) || 15000;
+const UNKNOWN_TTL = parseInt(process.env.WHITELIST_UNKNOWN_TTL_MS) || 60000;
+
+let devices = null;     // IMEI -> { imei, approved, modemType, vin, plateNumber }
+let ids = new Map();    // devices._id -> IMEI (delete events only carry the _id)
+let source = null;      // 'disk' | 'database'
+let updatedAt = null;
+let changeStream = null;
+let pollTimer = null;
+const revokeHandlers = [];
+// IMEI -> time until which it is answered as unknown without a database lookup (expiry order)
+const unknown = new Map();
+
+// Device fields kept in the whitelist - updates of other fields (lastSeen, trip marks ...) are not followed
+const WHITELIST_FIELDS = ['imei', 'approved', 'modemType', 'vin', 'plateNumber'];
+
+// Change stream events that can change the whitelist
+const CHANGE_PIPELINE = [
+    {
+        $match: {
+            $or: [
+                { operationType: { $in: ['insert', 'replace', 'delete'] } },
+                {
+                    operationType: 'update',
+                    $or: [
+                        ...WHITELIST_FIELDS.map(field => ({ [`updateDescription.updatedFields.${field}`]: { $exists: true } })),
+                        { 'updateDescription.removedFields': { $in: WHITELIST_FIELDS } }
+                    ]
+                }
+            ]
+        }
+    }
+];
+
+function toEntry(doc) {
+    return {
+        imei: doc.imei,
+        approved: doc.approved,
+        modemType: doc.modemType || null,
+        vin: doc.vin || null,
+        plateNumber: doc.plateNumber || null
+    };
+}
+
+function isApproved(entry) {
+    return !!entry && entry.approved !== false;
+}
+
+function emitRevoke(imei, reason) {
+    for (const handler of revokeHandlers) {
+        try {
+            handler(imei, reason);
+        } catch (err) {
+            log.error('auth', `Error in whitelist revoke handler: ${err.message}`);
+        }
+    }
+}
+
+function loadCache() {
+    devices = new Map();
+    source = 'disk';
+    if (!fs.existsSync(CACHE_FILE)) return;
+
+    try {
+        const content = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
+        for (const device of content.devices) {
+            devices.set(device.imei, toEntry(device));
+        }
+        updatedAt = content.updatedAt ? new Date(content.updatedAt) : null;
+    } catch (err) {
+        log.error('auth', `Error loading whitelist cache: ${err.message}`);
+    }
+}
+
+function saveCache() {
+    // Write-then-rename so a crash never leaves a truncated cache
+    fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+    fs.writeFileSync(`${CACHE_FILE}.tmp`, JSON.stringify({ updatedAt, devices: [...devices.values()] }));
+    fs.renameSync(`${CACHE_FILE}.tmp`, CACHE_FILE);
+}
+
+/**
+ * Reload whole whitelist from the devices collection and write the cache file
+ * Devices that lost approval since the last load are revoked
+ * Returns number of cached devices or null without database
+ */
+async function refreshCache() {
+    const db = getDb();
+    if (!db) return null;
+
+    const list = await db.collection('devices')
+        .find({}, { projection: { _id: 1, ...Object.fromEntries(WHITELIST_FIELDS.map(field => [field, 1])) } })
+        .toArray();
+
+    const previous = devices || new Map();
+    devices = new Map(list.map(d => [d.imei, toEntry(d)]));
+    ids = new Map(list.map(d => [String(d._id), d.imei]));
+    for (const d of list) unknown.delete(d.imei);
+    source = 'database';
+    updatedAt = new Date();
+
+    for (const [imei, entry] of previous) {
+        if (isApproved(entry) && !isApproved(devices.get(imei))) {
+            emitRevoke(imei, devices.has(imei) ? 'unapproved' : 'deleted');
+        }
+    }
+
+    saveCache();
+    return list.length;
+}
+
+/**
+ * Apply device document written by the API (or seen in the change stream)
+ */
+function update(doc) {
+    if (!devices) loadCache();
+
+    const previous = devices.get(doc.imei);
+    const entry = toEntry(doc);
+    devices.set(doc.imei, entry);
+    unknown.delete(doc.imei);
+    if (doc._id) ids.set(String(doc._id), doc.imei);
+    updatedAt = new Date();
+
+    if (isApproved(previous) && !isApproved(entry)) {
+        emitRevoke(doc.imei, 'unapproved');
+    }
+}
+
+/**
+ * Remove deleted device
+ */
+function remove(imei) {
+    if (!devices) loadCache();
+
+    const previous = devices.get(imei);
+    devices.delete(imei);
+    updatedAt = new Date();
+
+    if (isApproved(previous)) {
+        emitRevoke(imei, 'deleted');
+    }
+}
+
+function applyChange(change) {
+    if (change.operationType === 'delete') {
+        const imei = ids.get(String(change.documentKey._id));
+        if (imei) {
+            ids.delete(String(change.documentKey._id));
+            remove(imei);
+        }
+    } else if (change.fullDocument && change.fullDocument.imei) {
+        update(change.fullDocument);
+    }
+}
+
+function startPolling() {
+    if (pollTimer) return;
+    pollTimer = setInterval(() => {
+        refreshCache().catch(err => {
+            log.error('auth', `Error polling whitelist: ${err.message}`);
+        });
+    }, POLL_INTERVAL);
+}
+
+/**
+ * Follow devices collection changes - change stream, polling as fallback
+ * Returns mode: 'changeStream' | 'polling' | null without database
+ */
+function watch() {
+    const db = getDb();
+    if (!db) return null;
+    if (changeStream) return 'changeStream';
+    if (pollTimer) return 'polling';
+
+    try {
+        changeStream = db.collection('devices').watch(CHANGE_PIPELINE, { fullDocument: 'updateLookup' });
+        changeStream.on('change', applyChange);
+        changeStream.on('error', err => {
+            // Standalone servers reject $changeStream - the error arrives here, not from watch()
+            log.warn('auth', `Whitelist change stream failed (${err.message}), polling every ${POLL_INTERVAL} ms`);
+            changeStream.close().catch(() => {});
+            changeStream = null;
+            startPolling();
+        });
+        return 'changeStream';
+    } catch (err) {
+        changeStream = null;
+        startPolling();
+        return 'polling';
+    }
+}
+
+/**
+ * Register handler(imei, reason) called when a device loses approval or is deleted
+ */
+function onRevoke(handler) {
+    revokeHandlers.push(handler);
+}
+
+/**
+ * Get cached device by IMEI or null
+ */
+function getCachedDevice(imei) {
+    if (!devices) loadCache();
+    return devices.get(imei) || null;
+}
+
+/**
+ * Remember IMEI that is in neither the whitelist nor the database for WHITELIST_UNKNOWN_TTL_MS
+ * (cleared as soon as the device shows up through update / refreshCache)
+ */
+function markUnknown(imei) {
+    const now = Date.now();
+    for (const [entry, until] of unknown) {
+        if (until > now) break;
+        unknown.delete(entry);
+    }
+    unknown.delete(imei);
+    unknown.set(imei, now + UNKNOWN_TTL);
+}
+
+/**
+ * IMEI was found unknown less than WHITELIST_UNKNOWN_TTL_MS ago
+ */
+function isRecentlyUnknown(imei) {
+    const until = unknown.get(imei);
+    return until !== undefined && until > Date.now();
+}
+
+function status() {
+    if (!devices) loadCache();
+    return {
+        devices: devices.size,
+        source,
+        sync: changeStream ? 'changeStream' : pollTimer ? 'polling' : null,
+        updatedAt
+    };
+}
+
+module.exports = {
+    refreshCache,
+    update,
+    remove,
+    watch,
+    onRevoke,
+    getCachedDevice,
+    markUnknown,
+    isRecentlyUnknown,
+    status
+};